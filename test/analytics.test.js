@@ -0,0 +1,176 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  statusCountsPipeline,
+  dailyRevenuePipeline,
+  districtVolumePipeline,
+  deliveryTimePipeline,
+  riderLeaderboardPipeline,
+  cashoutTotalsPipeline,
+} = require("../utils/analytics");
+const { COMPLETED_STATUSES } = require("../utils/parcelLifecycle");
+
+const from = new Date("2025-03-01T00:00:00.000Z");
+const to = new Date("2025-03-31T23:59:59.999Z");
+
+const stage = (pipeline, name) => pipeline.find((s) => name in s)?.[name];
+const stages = (pipeline) => pipeline.map((s) => Object.keys(s)[0]);
+
+describe("report filters", () => {
+  it("match parcel dates as the ISO strings they are stored as", () => {
+    assert.deepEqual(stage(statusCountsPipeline({ from, to }), "$match"), {
+      creationDate: { $gte: from.toISOString(), $lte: to.toISOString() },
+    });
+  });
+
+  it("match every stored spelling of the district on either side", () => {
+    assert.deepEqual(
+      stage(statusCountsPipeline({ district: "chittagong" }), "$match"),
+      {
+        $or: [
+          { senderDistrict: { $in: ["Chattogram", "Chittagong"] } },
+          { receiverDistrict: { $in: ["Chattogram", "Chittagong"] } },
+        ],
+      },
+    );
+  });
+
+  it("match nothing extra without filters", () => {
+    assert.deepEqual(stage(statusCountsPipeline({}), "$match"), {});
+  });
+});
+
+describe("dailyRevenuePipeline", () => {
+  const saved = process.env.ANALYTICS_TIMEZONE;
+  afterEach(() => {
+    if (saved === undefined) delete process.env.ANALYTICS_TIMEZONE;
+    else process.env.ANALYTICS_TIMEZONE = saved;
+  });
+
+  const dayOf = (pipeline) => stage(pipeline, "$group")._id.$dateToString;
+
+  it("counts succeeded payments by paidAt, a real date", () => {
+    assert.deepEqual(stage(dailyRevenuePipeline({ from, to }), "$match"), {
+      status: "succeeded",
+      paidAt: { $gte: from, $lte: to },
+    });
+  });
+
+  it("buckets days in Dhaka time unless ANALYTICS_TIMEZONE says otherwise", () => {
+    delete process.env.ANALYTICS_TIMEZONE;
+    assert.equal(dayOf(dailyRevenuePipeline({})).timezone, "Asia/Dhaka");
+
+    process.env.ANALYTICS_TIMEZONE = "UTC";
+    assert.equal(dayOf(dailyRevenuePipeline({})).timezone, "UTC");
+  });
+
+  it("joins the parcel only to filter by district", () => {
+    assert.deepEqual(stages(dailyRevenuePipeline({})), [
+      "$match",
+      "$group",
+      "$project",
+      "$sort",
+    ]);
+
+    const pipeline = dailyRevenuePipeline({ district: "Dhaka" });
+    assert.equal(stage(pipeline, "$lookup").from, "parcels");
+    assert.deepEqual(pipeline[2].$match.$or[0], {
+      "parcel.senderDistrict": { $in: ["Dhaka"] },
+    });
+  });
+});
+
+describe("districtVolumePipeline", () => {
+  it("groups routes by canonical district and keeps the top ones", () => {
+    const pipeline = districtVolumePipeline({}, 5);
+    assert.deepEqual(stages(pipeline), [
+      "$match",
+      "$addFields",
+      "$group",
+      "$project",
+      "$sort",
+      "$limit",
+    ]);
+    assert.deepEqual(Object.keys(stage(pipeline, "$addFields")), [
+      "senderDistrict",
+      "receiverDistrict",
+    ]);
+    assert.equal(stage(pipeline, "$limit"), 5);
+  });
+});
+
+describe("deliveryTimePipeline", () => {
+  const pipeline = deliveryTimePipeline({ from, to, district: "Dhaka" });
+  const match = stage(pipeline, "$match");
+
+  it("takes delivered parcels in the period, by delivery date", () => {
+    assert.deepEqual(match.deliveryStatus, { $in: COMPLETED_STATUSES });
+    assert.deepEqual(match.deliveredAt, { $exists: true });
+    assert.deepEqual(match.pickedAt, { $exists: true });
+    // the district $or and the start-time $or must not overwrite each other
+    assert.ok(match.$or);
+    assert.ok(match.$and[0].$or);
+  });
+
+  it("splits within and between districts after canonicalizing them", () => {
+    assert.ok(
+      stages(pipeline).indexOf("$addFields") <
+        stages(pipeline).indexOf("$project"),
+    );
+    assert.deepEqual(stage(pipeline, "$project").scope.$cond[0], {
+      $eq: ["$senderDistrict", "$receiverDistrict"],
+    });
+  });
+
+  it("reports overall and per scope", () => {
+    assert.deepEqual(Object.keys(stage(pipeline, "$facet")), [
+      "overall",
+      "byScope",
+    ]);
+  });
+});
+
+describe("riderLeaderboardPipeline", () => {
+  const pipeline = riderLeaderboardPipeline({}, 10);
+
+  it("only counts the delivering rider's earnings", () => {
+    const lookup = stage(pipeline, "$lookup");
+    assert.equal(lookup.from, "riderLedger");
+    assert.deepEqual(lookup.pipeline, [{ $match: { leg: null } }]);
+  });
+
+  it("times the delivering rider from the hub hand-off when there is one", () => {
+    const { averageMinutes } = stage(pipeline, "$group");
+    const start = averageMinutes.$avg.$divide[0].$subtract[1];
+    assert.deepEqual(start.$dateFromString.dateString, {
+      $ifNull: ["$outForDeliveryAt", "$pickedAt"],
+    });
+  });
+
+  it("ranks by deliveries, then speed", () => {
+    assert.deepEqual(stage(pipeline, "$sort"), {
+      deliveries: -1,
+      averageMinutes: 1,
+    });
+    assert.equal(stage(pipeline, "$limit"), 10);
+  });
+});
+
+describe("cashoutTotalsPipeline", () => {
+  it("filters by the rider's home district", () => {
+    const pipeline = cashoutTotalsPipeline({ district: "Bogra" });
+    assert.equal(stage(pipeline, "$lookup").from, "riders");
+    assert.deepEqual(pipeline[2].$match, {
+      "rider.district": { $in: ["Bogura", "Bogra"] },
+    });
+  });
+
+  it("totals cashouts per status", () => {
+    assert.deepEqual(stage(cashoutTotalsPipeline({}), "$group"), {
+      _id: "$status",
+      cashouts: { $sum: 1 },
+      amount: { $sum: "$amount" },
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { REFUND_RATES, calculateRefund } = require("../utils/cancellation");
+const { PARCEL_STATUS, TRANSITIONS } = require("../utils/parcelLifecycle");
+
+describe("calculateRefund", () => {
+  // [status cancelled from, rate, type]
+  const cases = [
+    [PARCEL_STATUS.NOT_COLLECTED, 1, "full"],
+    [PARCEL_STATUS.RIDER_ASSIGNED, 0.8, "partial"],
+    [PARCEL_STATUS.IN_TRANSIT, 0.5, "partial"],
+    [PARCEL_STATUS.AT_HUB, 0.5, "partial"],
+  ];
+
+  cases.forEach(([status, rate, type]) => {
+    it(`refunds ${rate * 100}% when cancelled from "${status}"`, () => {
+      assert.deepEqual(calculateRefund(status, 150), {
+        rate,
+        amount: 150 * rate,
+        type,
+      });
+    });
+  });
+
+  it("rounds to the cent", () => {
+    assert.equal(
+      calculateRefund(PARCEL_STATUS.RIDER_ASSIGNED, 33.33).amount,
+      26.66,
+    );
+  });
+
+  it("refunds nothing from statuses without a rate", () => {
+    assert.deepEqual(calculateRefund(PARCEL_STATUS.DELIVERED, 150), {
+      rate: 0,
+      amount: 0,
+      type: "partial",
+    });
+  });
+
+  it("has a rate for every status a parcel can be cancelled from", () => {
+    TRANSITIONS.filter((t) => t.to === PARCEL_STATUS.CANCELLED).forEach((t) =>
+      assert.ok(t.from in REFUND_RATES, t.from),
+    );
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  calculateCodFee,
+  outstandingCod,
+  allocateDeposit,
+  buildSettlement,
+} = require("../utils/cod");
+
+const parcel = (_id, codCollectedAmount, fields = {}) => ({
+  _id,
+  trackingId: `MX250319-${_id}`,
+  codCollectedAmount,
+  ...fields,
+});
+
+// the fee rate is read from the environment on every call
+const savedFeeRate = process.env.COD_FEE_RATE;
+beforeEach(() => {
+  delete process.env.COD_FEE_RATE;
+});
+afterEach(() => {
+  if (savedFeeRate === undefined) delete process.env.COD_FEE_RATE;
+  else process.env.COD_FEE_RATE = savedFeeRate;
+});
+
+describe("calculateCodFee", () => {
+  it("keeps 1% by default", () => {
+    assert.equal(calculateCodFee(1250), 12.5);
+  });
+
+  it("reads COD_FEE_RATE when the fee is computed", () => {
+    process.env.COD_FEE_RATE = "0.02";
+    assert.equal(calculateCodFee(1250), 25);
+  });
+});
+
+describe("outstandingCod", () => {
+  it("is what was collected less what was deposited", () => {
+    assert.equal(outstandingCod(parcel("A", 500)), 500);
+    assert.equal(
+      outstandingCod(parcel("A", 500, { codDepositedAmount: 120.5 })),
+      379.5,
+    );
+  });
+});
+
+describe("allocateDeposit", () => {
+  const held = [
+    parcel("A", 300),
+    parcel("B", 500, { codDepositedAmount: 200 }),
+    parcel("C", 400),
+  ];
+
+  it("covers every parcel when all the cash is in", () => {
+    const lines = allocateDeposit(held, 1000);
+    assert.deepEqual(
+      lines.map(({ parcelId, amount, complete }) => [
+        parcelId,
+        amount,
+        complete,
+      ]),
+      [
+        ["A", 300, true],
+        ["B", 300, true],
+        ["C", 400, true],
+      ],
+    );
+  });
+
+  it("fills the oldest parcels first and leaves the rest outstanding", () => {
+    const lines = allocateDeposit(held, 450);
+    assert.deepEqual(lines, [
+      { parcelId: "A", amount: 300, depositedBefore: 0, complete: true },
+      { parcelId: "B", amount: 150, depositedBefore: 200, complete: false },
+    ]);
+  });
+
+  it("stops exactly at a parcel boundary", () => {
+    const lines = allocateDeposit(held, 300);
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].complete, true);
+  });
+
+  it("closes parcels that had no cash to hand in", () => {
+    const lines = allocateDeposit([parcel("A", 100), parcel("Z", 0)], 40);
+    assert.deepEqual(
+      lines.map(({ parcelId, complete }) => [parcelId, complete]),
+      [
+        ["A", false],
+        ["Z", true],
+      ],
+    );
+  });
+});
+
+describe("buildSettlement", () => {
+  it("takes the COD fee and unpaid delivery charges out of the cash", () => {
+    const settlement = buildSettlement([
+      parcel("A", 1000, { paymentStatus: "paid", deliveryCharge: 110 }),
+      parcel("B", 500, { paymentStatus: "unpaid", deliveryCharge: 150 }),
+    ]);
+
+    assert.deepEqual(
+      settlement.lines.map(({ collected, codFee, deliveryCharge, net }) => [
+        collected,
+        codFee,
+        deliveryCharge,
+        net,
+      ]),
+      [
+        [1000, 10, 0, 990],
+        [500, 5, 150, 345],
+      ],
+    );
+    assert.equal(settlement.codTotal, 1500);
+    assert.equal(settlement.codFees, 15);
+    assert.equal(settlement.deliveryCharges, 150);
+    assert.equal(settlement.netPayable, 1335);
+  });
+});
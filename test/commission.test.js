@@ -0,0 +1,199 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_RULES,
+  isInEffect,
+  selectCommissionRule,
+  calculateCommission,
+  legEarning,
+} = require("../utils/commission");
+
+const DELIVERED_AT = "2025-03-19T10:00:00.000Z";
+
+const parcel = (fields = {}) => ({
+  type: "non-document",
+  senderDistrict: "Dhaka",
+  receiverDistrict: "Dhaka",
+  deliveryCharge: 110,
+  deliveredAt: DELIVERED_AT,
+  ...fields,
+});
+
+const rule = (fields) => ({
+  _id: fields.name,
+  effectiveFrom: new Date("2025-01-01"),
+  ...fields,
+});
+
+describe("calculateCommission", () => {
+  it("falls back to the default split", () => {
+    const within = calculateCommission(parcel(), null, []);
+    assert.equal(within.rule._id, "default-within");
+    assert.equal(within.amount, 88);
+
+    const between = calculateCommission(
+      parcel({ receiverDistrict: "Khulna", deliveryCharge: 150 }),
+      null,
+      [],
+    );
+    assert.equal(between.rule._id, "default-between");
+    assert.equal(between.amount, 45);
+  });
+
+  it("treats district spellings as the same district", () => {
+    const result = calculateCommission(
+      parcel({ senderDistrict: "Chittagong", receiverDistrict: "chattogram" }),
+      null,
+      [],
+    );
+    assert.equal(result.rule._id, "default-within");
+  });
+
+  it("prefers the most specific matching rule", () => {
+    const rules = [
+      rule({ name: "within", scope: "within", rate: 0.7 }),
+      rule({
+        name: "dhaka",
+        scope: "within",
+        senderDistrict: "Dhaka",
+        rate: 0.75,
+      }),
+      rule({ name: "gold", scope: "within", riderTier: "gold", rate: 0.9 }),
+      rule({
+        name: "gold documents",
+        scope: "within",
+        riderTier: "gold",
+        parcelType: "document",
+        rate: 0.95,
+      }),
+    ];
+
+    assert.equal(
+      calculateCommission(parcel(), { tier: "standard" }, rules).rule.name,
+      "dhaka",
+    );
+    assert.equal(
+      calculateCommission(parcel({ type: "Document" }), { tier: "gold" }, rules)
+        .rule.name,
+      "gold documents",
+    );
+  });
+
+  it("breaks a tie with the newest rule", () => {
+    const rules = [
+      rule({ name: "old", scope: "within", rate: 0.6 }),
+      rule({
+        name: "new",
+        scope: "within",
+        rate: 0.65,
+        effectiveFrom: new Date("2025-02-01"),
+      }),
+    ];
+    const result = calculateCommission(parcel(), null, rules);
+    assert.equal(result.rule.name, "new");
+    assert.equal(result.amount, 71.5);
+  });
+
+  it("uses the rules in effect when the parcel was delivered", () => {
+    const rules = [
+      rule({
+        name: "expired",
+        scope: "within",
+        rate: 0.5,
+        effectiveTo: new Date("2025-03-01"),
+      }),
+      rule({
+        name: "future",
+        scope: "within",
+        rate: 0.4,
+        effectiveFrom: new Date("2025-04-01"),
+      }),
+    ];
+    assert.equal(
+      calculateCommission(parcel(), null, rules).rule._id,
+      "default-within",
+    );
+  });
+
+  it("pays nothing on a parcel without a delivery charge", () => {
+    assert.equal(
+      calculateCommission(parcel({ deliveryCharge: undefined }), null, [])
+        .amount,
+      0,
+    );
+  });
+});
+
+describe("isInEffect", () => {
+  const at = new Date(DELIVERED_AT);
+
+  it("includes effectiveFrom and excludes effectiveTo", () => {
+    assert.equal(isInEffect({ effectiveFrom: at }, at), true);
+    assert.equal(
+      isInEffect({ effectiveFrom: new Date(0), effectiveTo: at }, at),
+      false,
+    );
+  });
+});
+
+describe("selectCommissionRule", () => {
+  it("always finds a default rule", () => {
+    [true, false].forEach((withinDistrict) =>
+      assert.ok(
+        DEFAULT_RULES.includes(
+          selectCommissionRule([], { withinDistrict, at: new Date() }),
+        ),
+      ),
+    );
+  });
+});
+
+describe("legEarning", () => {
+  // Credits one leg the way transitionParcel does: the commission for the
+  // rider on that leg less what the parcel's other legs already earned
+  const credit = (ledger, parcel, rider, leg) => {
+    const { amount } = calculateCommission(parcel, rider, []);
+    const credited = ledger
+      .filter((entry) => entry.leg !== leg)
+      .reduce((sum, entry) => sum + entry.amount, 0);
+    ledger.push({ leg, amount: legEarning(amount, credited, leg === null) });
+  };
+
+  const between = parcel({ receiverDistrict: "Khulna", deliveryCharge: 150 });
+
+  it("pays one commission for a parcel routed through a hub", () => {
+    const ledger = [];
+    credit(ledger, between, null, 0);
+    credit(ledger, between, null, null);
+
+    assert.deepEqual(
+      ledger.map(({ amount }) => amount),
+      [22.5, 22.5],
+    );
+    assert.equal(
+      ledger.reduce((sum, entry) => sum + entry.amount, 0),
+      calculateCommission(between, null, []).amount,
+    );
+  });
+
+  it("never pays more than one commission however many hubs it visits", () => {
+    const ledger = [];
+    credit(ledger, between, null, 0);
+    credit(ledger, between, null, 2);
+    credit(ledger, between, null, null);
+
+    assert.deepEqual(
+      ledger.map(({ amount }) => amount),
+      [22.5, 11.25, 11.25],
+    );
+    assert.equal(
+      ledger.reduce((sum, entry) => sum + entry.amount, 0),
+      45,
+    );
+  });
+
+  it("pays the whole commission on a parcel with no hub legs", () => {
+    assert.equal(legEarning(88, 0, true), 88);
+  });
+});
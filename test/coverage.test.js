@@ -0,0 +1,182 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DIVISIONS,
+  ALIASES,
+  normalizeName,
+  resolveDistrict,
+  sameDistrict,
+  districtVariants,
+  districtQuery,
+  canonicalDistrictExpr,
+  checkCoverage,
+  CoverageError,
+  toPoint,
+  fromPoint,
+  kmToMeters,
+} = require("../utils/coverage");
+
+describe("resolveDistrict", () => {
+  it("knows all 64 districts", () => {
+    const districts = Object.values(DIVISIONS).flat();
+    assert.equal(districts.length, 64);
+    districts.forEach((district) =>
+      assert.equal(resolveDistrict(district).district, district),
+    );
+  });
+
+  it("resolves spelling variants to the canonical district", () => {
+    [
+      ["Chittagong", "Chattogram", "Chattogram"],
+      [" chattogram ", "Chattogram", "Chattogram"],
+      ["Munshigonj", "Munshiganj", "Dhaka"],
+      ["COX'S BAZAR", "Cox's Bazar", "Chattogram"],
+      ["coxs bazar", "Cox's Bazar", "Chattogram"],
+      ["Jessore", "Jashore", "Khulna"],
+    ].forEach(([name, district, division]) =>
+      assert.deepEqual(resolveDistrict(name), { district, division }, name),
+    );
+  });
+
+  it("maps every alias to a known district", () => {
+    Object.keys(ALIASES).forEach((alias) =>
+      assert.equal(resolveDistrict(alias).district, ALIASES[alias], alias),
+    );
+  });
+
+  it("returns null for unknown names", () => {
+    assert.equal(resolveDistrict("Atlantis"), null);
+    assert.equal(resolveDistrict(""), null);
+    assert.equal(resolveDistrict(undefined), null);
+  });
+});
+
+describe("sameDistrict", () => {
+  it("compares canonical districts", () => {
+    assert.equal(sameDistrict("Bogra", "bogura"), true);
+    assert.equal(sameDistrict("Dhaka", "Gazipur"), false);
+  });
+
+  it("falls back to the normalized names for unknown districts", () => {
+    assert.equal(sameDistrict("New Town", "newtown"), true);
+    assert.equal(sameDistrict("New Town", "Old Town"), false);
+  });
+});
+
+describe("districtQuery", () => {
+  it("matches every stored spelling of a known district", () => {
+    assert.deepEqual(districtQuery("chittagong"), {
+      $in: ["Chattogram", "Chittagong"],
+    });
+    assert.deepEqual(districtQuery("Jhalokati"), {
+      $in: ["Jhalokati", "Jhalakati", "Jhalakathi"],
+    });
+  });
+
+  it("matches a district without aliases by its canonical name", () => {
+    assert.deepEqual(districtQuery(" dhaka "), { $in: ["Dhaka"] });
+  });
+
+  it("passes unknown names through as given", () => {
+    assert.equal(districtQuery("Atlantis"), "Atlantis");
+  });
+
+  it("lists the canonical name first", () => {
+    assert.equal(districtVariants("Cumilla")[0], "Cumilla");
+  });
+});
+
+describe("canonicalDistrictExpr", () => {
+  const expr = canonicalDistrictExpr("$senderDistrict");
+  const { branches, default: fallback } = expr.$let.in.$switch;
+
+  // what the $switch picks for a name once $$key holds its normalized form
+  const pick = (name) =>
+    branches.find((branch) => branch.case.$in[1].includes(normalizeName(name)))
+      ?.then ?? fallback;
+
+  it("gives every spelling resolveDistrict knows its canonical district", () => {
+    [
+      ...Object.values(DIVISIONS).flat(),
+      ...Object.keys(ALIASES),
+      "dhaka",
+      " DHAKA ",
+      "Munshigonj",
+      "coxs bazar",
+    ].forEach((name) =>
+      assert.equal(pick(name), resolveDistrict(name).district, name),
+    );
+  });
+
+  it("keeps names it does not know as stored", () => {
+    assert.equal(pick("Atlantis"), "$senderDistrict");
+  });
+});
+
+describe("checkCoverage", () => {
+  const dhaka = resolveDistrict("Dhaka");
+  const area = (name, fields = {}) => ({
+    district: "Dhaka",
+    name,
+    key: normalizeName(name),
+    active: true,
+    ...fields,
+  });
+
+  const rejects = (areas, areaName) =>
+    assert.throws(
+      () => checkCoverage(dhaka, areas, areaName),
+      (error) => {
+        assert.ok(error instanceof CoverageError);
+        assert.equal(error.status, 422);
+        return true;
+      },
+    );
+
+  it("serves a district with no service areas yet as a whole", () => {
+    assert.deepEqual(checkCoverage(dhaka, []), dhaka);
+    assert.deepEqual(checkCoverage(dhaka, [], "Mirpur"), dhaka);
+  });
+
+  it("serves only the active areas once some are listed", () => {
+    const areas = [
+      area("Mirpur", { aliasKeys: ["mirpur10"] }),
+      area("Uttara", { active: false }),
+    ];
+
+    assert.deepEqual(checkCoverage(dhaka, areas, "mirpur 10"), {
+      ...dhaka,
+      area: "Mirpur",
+    });
+    assert.deepEqual(checkCoverage(dhaka, areas), dhaka);
+    rejects(areas, "Uttara");
+    rejects(areas, "Gulshan");
+  });
+
+  it("stops serving a district whose areas are all inactive", () => {
+    rejects([area("Mirpur", { active: false })]);
+  });
+});
+
+describe("geo helpers", () => {
+  it("stores points as [longitude, latitude] and reads them back", () => {
+    const point = toPoint(23.8041, 90.3667);
+    assert.deepEqual(point, {
+      type: "Point",
+      coordinates: [90.3667, 23.8041],
+    });
+    assert.deepEqual(fromPoint(point), { lat: 23.8041, lng: 90.3667 });
+    assert.equal(fromPoint(null), null);
+  });
+
+  it("converts km to meters", () => {
+    assert.equal(kmToMeters(2.5), 2500);
+  });
+});
+
+describe("normalizeName", () => {
+  it("drops case, spaces and punctuation", () => {
+    assert.equal(normalizeName(" Cox's  Bazar "), "coxsbazar");
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseCsv } = require("../utils/csv");
+const { applyMerchantDefaults } = require("../utils/merchants");
+
+describe("parseCsv", () => {
+  it("maps each data row to the header columns", () => {
+    const { columns, records } = parseCsv(
+      "title, receiverName ,weight\nBooks,Rahim,2\nShoes,Karim,1.5\n",
+    );
+
+    assert.deepEqual(columns, ["title", "receiverName", "weight"]);
+    assert.deepEqual(records, [
+      {
+        row: 1,
+        values: { title: "Books", receiverName: "Rahim", weight: "2" },
+      },
+      {
+        row: 2,
+        values: { title: "Shoes", receiverName: "Karim", weight: "1.5" },
+      },
+    ]);
+  });
+
+  it("reads quoted fields with commas, quotes and line breaks", () => {
+    const { records } = parseCsv(
+      'title,receiverAddress\n"Gift, small","House 7, Road ""B""\nMirpur"\n',
+    );
+    assert.deepEqual(records[0].values, {
+      title: "Gift, small",
+      receiverAddress: 'House 7, Road "B"\nMirpur',
+    });
+  });
+
+  it("accepts CRLF, a byte order mark and a missing final newline", () => {
+    const { columns, records } = parseCsv("\uFEFFtitle,weight\r\nBooks,2");
+    assert.deepEqual(columns, ["title", "weight"]);
+    assert.deepEqual(records[0].values, { title: "Books", weight: "2" });
+  });
+
+  it("skips blank lines", () => {
+    const { records } = parseCsv("title\n\nBooks\n , \nShoes\n");
+    assert.deepEqual(
+      records.map(({ row, values }) => [row, values.title]),
+      [
+        [1, "Books"],
+        [2, "Shoes"],
+      ],
+    );
+  });
+
+  it("fills short rows with empty cells", () => {
+    const { records } = parseCsv("title,weight,note\nBooks\n");
+    assert.deepEqual(records[0].values, {
+      title: "Books",
+      weight: "",
+      note: "",
+    });
+  });
+
+  it("returns no records for an empty file", () => {
+    assert.deepEqual(parseCsv(""), { columns: [], records: [] });
+  });
+});
+
+describe("applyMerchantDefaults", () => {
+  const merchant = {
+    businessName: "Mirpur Books",
+    pickupPhone: "01700000000",
+    pickupDistrict: "Dhaka",
+    pickupAddress: "Shop 4, Mirpur 10",
+    defaultParcelType: "non-document",
+    defaultWeight: 1,
+  };
+
+  it("fills blank sender fields from the merchant profile", () => {
+    const row = applyMerchantDefaults(
+      { title: "Books", senderName: " ", weight: "" },
+      merchant,
+    );
+    assert.equal(row.senderName, "Mirpur Books");
+    assert.equal(row.senderPhone, "01700000000");
+    assert.equal(row.senderDistrict, "Dhaka");
+    assert.equal(row.type, "non-document");
+    assert.equal(row.weight, 1);
+    assert.equal(row.title, "Books");
+  });
+
+  it("keeps what the row gives", () => {
+    const row = applyMerchantDefaults(
+      { senderDistrict: "Gazipur", type: "document" },
+      merchant,
+    );
+    assert.equal(row.senderDistrict, "Gazipur");
+    assert.equal(row.type, "document");
+  });
+
+  it("leaves fields blank when the profile has no default", () => {
+    const row = applyMerchantDefaults({ senderRegion: "" }, merchant);
+    assert.equal(row.senderRegion, "");
+    assert.equal("pickupInstruction" in row, false);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  OTP_LENGTH,
+  MAX_OTP_ATTEMPTS,
+  generateOtp,
+  otpMatches,
+  verifyOtp,
+} = require("../utils/deliveryProof");
+const { LifecycleError } = require("../utils/parcelLifecycle");
+
+// One parcel's code, enough for the claim and count verifyOtp sends
+const fakeOtpCollection = (record) => ({
+  findOneAndUpdate: async ({ parcelId, attempts }, { $inc }) => {
+    if (!record || record.parcelId !== parcelId) return null;
+    if (!(record.attempts < attempts.$lt)) return null;
+    record.attempts += $inc.attempts;
+    return { ...record };
+  },
+  countDocuments: async ({ parcelId }) =>
+    record?.parcelId === parcelId ? 1 : 0,
+});
+
+const rejects = (promise, status, message) =>
+  assert.rejects(promise, (error) => {
+    assert.ok(error instanceof LifecycleError);
+    assert.equal(error.status, status);
+    assert.match(error.message, message);
+    return true;
+  });
+
+describe("generateOtp", () => {
+  it("makes zero-padded numeric codes", () => {
+    for (let i = 0; i < 200; i += 1) {
+      assert.match(generateOtp(), new RegExp(`^\\d{${OTP_LENGTH}}$`));
+    }
+  });
+});
+
+describe("otpMatches", () => {
+  it("compares the whole code", () => {
+    assert.equal(otpMatches("012345", "012345"), true);
+    assert.equal(otpMatches("012345", 12345), false);
+    assert.equal(otpMatches("012345", "01234"), false);
+    assert.equal(otpMatches("012345", undefined), false);
+  });
+});
+
+describe("verifyOtp", () => {
+  it("accepts the right code and counts the attempt", async () => {
+    const record = { _id: "otp1", parcelId: "p1", code: "482913", attempts: 0 };
+    const verified = await verifyOtp(fakeOtpCollection(record), "p1", "482913");
+    assert.equal(verified._id, "otp1");
+    assert.equal(record.attempts, 1);
+  });
+
+  it("rejects a wrong code", async () => {
+    const record = { parcelId: "p1", code: "482913", attempts: 0 };
+    await rejects(
+      verifyOtp(fakeOtpCollection(record), "p1", "000000"),
+      422,
+      /incorrect/,
+    );
+  });
+
+  it("locks the code after MAX_OTP_ATTEMPTS wrong guesses", async () => {
+    const record = { parcelId: "p1", code: "482913", attempts: 0 };
+    const otps = fakeOtpCollection(record);
+
+    for (let i = 0; i < MAX_OTP_ATTEMPTS; i += 1) {
+      await rejects(verifyOtp(otps, "p1", "000000"), 422, /incorrect/);
+    }
+    // the right code no longer helps
+    await rejects(verifyOtp(otps, "p1", "482913"), 423, /Too many/);
+    assert.equal(record.attempts, MAX_OTP_ATTEMPTS);
+  });
+
+  it("lets parallel guesses claim no more than the allowed attempts", async () => {
+    const record = { parcelId: "p1", code: "482913", attempts: 0 };
+    const otps = fakeOtpCollection(record);
+
+    const results = await Promise.allSettled(
+      Array.from({ length: MAX_OTP_ATTEMPTS + 3 }, () =>
+        verifyOtp(otps, "p1", "000000"),
+      ),
+    );
+    const locked = results.filter(({ reason }) => reason?.status === 423);
+    assert.equal(locked.length, 3);
+    assert.equal(record.attempts, MAX_OTP_ATTEMPTS);
+  });
+
+  it("says so when no code was issued", async () => {
+    await rejects(
+      verifyOtp(fakeOtpCollection(null), "p1", "482913"),
+      422,
+      /No delivery code/,
+    );
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  MAX_OPEN_PARCELS,
+  rankRiders,
+  pickRider,
+} = require("../utils/dispatch");
+const { DEFAULT_SCORE } = require("../utils/riderScore");
+
+const parcel = { senderDistrict: "Dhaka" };
+
+const rider = (name, fields = {}) => ({
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  district: "Dhaka",
+  status: "active",
+  ...fields,
+});
+
+const names = (candidates) => candidates.map(({ rider }) => rider.name);
+
+describe("rankRiders", () => {
+  it("puts the lowest workload first", () => {
+    const riders = [rider("Asif"), rider("Babul"), rider("Chitra")];
+    const workloads = {
+      "asif@example.com": 4,
+      "babul@example.com": 1,
+      "chitra@example.com": 2,
+    };
+    assert.deepEqual(names(rankRiders(parcel, riders, workloads)), [
+      "Babul",
+      "Chitra",
+      "Asif",
+    ]);
+  });
+
+  it("breaks a tie with the better score, then the name", () => {
+    const riders = [
+      rider("Dipu", { performanceScore: DEFAULT_SCORE - 10 }),
+      rider("Asif", { performanceScore: DEFAULT_SCORE + 10 }),
+      rider("Chitra"),
+      rider("Babul"),
+    ];
+    assert.deepEqual(names(rankRiders(parcel, riders, {})), [
+      "Asif",
+      "Babul",
+      "Chitra",
+      "Dipu",
+    ]);
+  });
+
+  it("leaves out inactive riders, other districts and full riders", () => {
+    const riders = [
+      rider("Asif", { status: "pending" }),
+      rider("Babul", { district: "Khulna" }),
+      rider("Chitra"),
+      rider("Dipu", { district: "dhaka" }),
+    ];
+    const workloads = { "chitra@example.com": MAX_OPEN_PARCELS };
+    assert.deepEqual(names(rankRiders(parcel, riders, workloads)), ["Dipu"]);
+  });
+});
+
+describe("pickRider", () => {
+  it("picks the best candidate and says why", () => {
+    const riders = [rider("Asif"), rider("Babul")];
+    const result = pickRider(parcel, riders, { "asif@example.com": 3 });
+
+    assert.equal(result.rider.name, "Babul");
+    assert.equal(result.candidates.length, 2);
+    assert.match(result.reason, /lowest open workload \(0 of 10\)/);
+  });
+
+  it("explains when the district has no active rider", () => {
+    const result = pickRider(parcel, [rider("Babul", { district: "Khulna" })]);
+
+    assert.equal(result.rider, null);
+    assert.equal(result.reason, "No active rider in Dhaka");
+    assert.deepEqual(result.candidates, []);
+  });
+
+  it("explains when every rider there is full", () => {
+    const result = pickRider(parcel, [rider("Asif")], {
+      "asif@example.com": MAX_OPEN_PARCELS,
+    });
+
+    assert.equal(result.rider, null);
+    assert.match(result.reason, /^All 1 active riders in Dhaka have 10/);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  districtCode,
+  renderCodes,
+  buildLabelPdf,
+  buildReceiptPdf,
+} = require("../utils/documents");
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+// Collects a PDFKit document into a buffer
+const toBuffer = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+const pageCount = (pdf) =>
+  (pdf.toString("latin1").match(/\/Type \/Page\b/g) || []).length;
+
+const parcel = (fields = {}) => ({
+  trackingId: "MX250319-7K4Q9D",
+  title: "Books",
+  type: "non-document",
+  weight: 2,
+  senderName: "Rahim",
+  senderPhone: "01700000000",
+  senderAddress: "House 7, Mirpur 10",
+  senderDistrict: "Dhaka",
+  receiverName: "Karim",
+  receiverPhone: "01800000000",
+  receiverAddress: "Road 3, Sonadanga",
+  receiverDistrict: "Khulna",
+  creationDate: "2025-03-19T08:00:00.000Z",
+  ...fields,
+});
+
+describe("districtCode", () => {
+  it("prefers the district's hub code", () => {
+    assert.equal(districtCode("Chattogram", "CTG"), "CTG");
+  });
+
+  it("falls back to the first three letters", () => {
+    assert.equal(districtCode("Cox's Bazar"), "COX");
+    assert.equal(districtCode("dhaka"), "DHA");
+  });
+});
+
+describe("labels", () => {
+  it("renders the barcode and QR code as PNGs", async () => {
+    const { barcode, qrcode } = await renderCodes("MX250319-7K4Q9D");
+    assert.deepEqual(barcode.subarray(0, 4), PNG_SIGNATURE);
+    assert.deepEqual(qrcode.subarray(0, 4), PNG_SIGNATURE);
+  });
+
+  it("prints one A6 page per label, or four labels to an A4 sheet", async () => {
+    const codes = await renderCodes("MX250319-7K4Q9D");
+    const labels = Array.from({ length: 5 }, (_, index) => ({
+      parcel: parcel({ codAmount: index % 2 ? 1500 : 0 }),
+      route: { from: "DHK", to: "KHL" },
+      codes,
+    }));
+
+    const single = await toBuffer(buildLabelPdf(labels));
+    const sheet = await toBuffer(buildLabelPdf(labels, { sheet: true }));
+
+    assert.equal(single.subarray(0, 5).toString(), "%PDF-");
+    assert.equal(pageCount(single), 5);
+    assert.equal(pageCount(sheet), 2);
+  });
+});
+
+describe("buildReceiptPdf", () => {
+  const payment = {
+    _id: "pay_1",
+    paidBy: "rahim@example.com",
+    transactionId: "pi_1",
+    amount: 150,
+    currency: "bdt",
+    status: "succeeded",
+    paidAt: new Date("2025-03-19T09:00:00.000Z"),
+  };
+
+  it("prints a one-page receipt", async () => {
+    const pdf = await toBuffer(buildReceiptPdf(payment, parcel()));
+    assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+    assert.equal(pageCount(pdf), 1);
+    assert.match(pdf.toString("latin1"), /Mirpur Express receipt pay_1/);
+  });
+
+  it("still prints when the parcel is gone or part was refunded", async () => {
+    const pdf = await toBuffer(
+      buildReceiptPdf({ ...payment, refundedAmount: 75 }, null),
+    );
+    assert.equal(pageCount(pdf), 1);
+  });
+});
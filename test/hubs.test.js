@@ -0,0 +1,62 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+
+const {
+  MANIFEST_STATUS,
+  parseTrackingIds,
+  generateManifestCode,
+  buildManifest,
+} = require("../utils/hubs");
+
+const dhaka = { _id: new ObjectId(), code: "DHK", name: "Dhaka" };
+const chattogram = { _id: new ObjectId(), code: "CTG", name: "Chattogram" };
+
+describe("parseTrackingIds", () => {
+  it("splits on commas, spaces and new lines and drops repeats", () => {
+    assert.deepEqual(
+      parseTrackingIds("MX250319-AAAAAA, MX250319-BBBBBB\nMX250319-AAAAAA  "),
+      ["MX250319-AAAAAA", "MX250319-BBBBBB"],
+    );
+  });
+
+  it("takes the ID from a scanned label URL", () => {
+    assert.deepEqual(
+      parseTrackingIds(
+        "https://example.com/track/MX250319-AAAAAA/\nMX250319-BBBBBB",
+      ),
+      ["MX250319-AAAAAA", "MX250319-BBBBBB"],
+    );
+  });
+
+  it("returns nothing for empty input", () => {
+    assert.deepEqual(parseTrackingIds(""), []);
+    assert.deepEqual(parseTrackingIds(undefined), []);
+  });
+});
+
+describe("manifests", () => {
+  it("codes a manifest by route and date", () => {
+    assert.match(
+      generateManifestCode(dhaka, chattogram, new Date("2025-03-19T08:00:00Z")),
+      /^DHK-CTG-250319-\d{3}$/,
+    );
+  });
+
+  it("starts open and empty", () => {
+    const manifest = buildManifest(
+      dhaka,
+      chattogram,
+      { vehicle: "Truck 12" },
+      "hub@example.com",
+    );
+
+    assert.equal(manifest.status, MANIFEST_STATUS.OPEN);
+    assert.equal(manifest.fromHubId, dhaka._id.toString());
+    assert.equal(manifest.toHubId, chattogram._id.toString());
+    assert.equal(manifest.vehicle, "Truck 12");
+    assert.deepEqual(manifest.parcelIds, []);
+    assert.deepEqual(manifest.trackingIds, []);
+    assert.equal(manifest.createdBy, "hub@example.com");
+  });
+});
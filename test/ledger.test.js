@@ -0,0 +1,124 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  LEDGER_TYPES,
+  roundMoney,
+  balancePipeline,
+  summarizeBalance,
+} = require("../utils/ledger");
+
+// What balancePipeline produces for a list of entries
+const group = (entries) =>
+  Object.values(
+    entries.reduce((groups, { type, amount }) => {
+      groups[type] = groups[type] || { _id: type, total: 0, count: 0 };
+      groups[type].total += amount;
+      groups[type].count += 1;
+      return groups;
+    }, {}),
+  );
+
+const { EARNING, HOLD, RELEASE, SETTLE, REVERSAL, ADJUSTMENT } = LEDGER_TYPES;
+
+describe("summarizeBalance", () => {
+  it("is all zero without entries", () => {
+    assert.deepEqual(summarizeBalance([]), {
+      totalEarnings: 0,
+      available: 0,
+      onHold: 0,
+      paidOut: 0,
+    });
+  });
+
+  it("moves a cashout from available to held to paid out", () => {
+    const earned = [
+      { type: EARNING, amount: 88 },
+      { type: EARNING, amount: 48 },
+    ];
+    const held = [...earned, { type: HOLD, amount: 100 }];
+    const paid = [...held, { type: SETTLE, amount: 100 }];
+
+    assert.deepEqual(summarizeBalance(group(earned)), {
+      totalEarnings: 136,
+      available: 136,
+      onHold: 0,
+      paidOut: 0,
+    });
+    assert.deepEqual(summarizeBalance(group(held)), {
+      totalEarnings: 136,
+      available: 36,
+      onHold: 100,
+      paidOut: 0,
+    });
+    assert.deepEqual(summarizeBalance(group(paid)), {
+      totalEarnings: 136,
+      available: 36,
+      onHold: 0,
+      paidOut: 100,
+    });
+  });
+
+  it("gives a rejected cashout back", () => {
+    const entries = [
+      { type: EARNING, amount: 150 },
+      { type: HOLD, amount: 120 },
+      { type: RELEASE, amount: 120 },
+    ];
+    assert.deepEqual(summarizeBalance(group(entries)), {
+      totalEarnings: 150,
+      available: 150,
+      onHold: 0,
+      paidOut: 0,
+    });
+  });
+
+  it("gives a reversed payout back", () => {
+    const entries = [
+      { type: EARNING, amount: 150 },
+      { type: HOLD, amount: 120 },
+      { type: SETTLE, amount: 120 },
+      { type: REVERSAL, amount: 120 },
+    ];
+    assert.deepEqual(summarizeBalance(group(entries)), {
+      totalEarnings: 150,
+      available: 150,
+      onHold: 0,
+      paidOut: 0,
+    });
+  });
+
+  it("counts signed adjustments as earnings", () => {
+    const entries = [
+      { type: EARNING, amount: 100 },
+      { type: ADJUSTMENT, amount: -30 },
+      { type: ADJUSTMENT, amount: 5.5 },
+    ];
+    const balance = summarizeBalance(group(entries));
+    assert.equal(balance.totalEarnings, 75.5);
+    assert.equal(balance.available, 75.5);
+  });
+
+  it("does not drift on floating point sums", () => {
+    const entries = [0.1, 0.2, 0.3].map((amount) => ({
+      type: EARNING,
+      amount,
+    }));
+    assert.equal(summarizeBalance(group(entries)).available, 0.6);
+  });
+});
+
+describe("roundMoney", () => {
+  it("rounds to the cent", () => {
+    assert.equal(roundMoney(10.005), 10.01);
+    assert.equal(roundMoney(0.1 + 0.2), 0.3);
+  });
+});
+
+describe("balancePipeline", () => {
+  it("only sums the rider's own entries", () => {
+    assert.deepEqual(balancePipeline("rider@example.com")[0], {
+      $match: { riderEmail: "rider@example.com" },
+    });
+  });
+});
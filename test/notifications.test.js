@@ -0,0 +1,234 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  CHANNELS,
+  NOTIFICATION_STATUS,
+  NOTIFICATION_EVENTS,
+  MAX_NOTIFICATION_ATTEMPTS,
+  retryDelay,
+  renderTemplate,
+  channelsFor,
+  buildNotifications,
+  afterFailedSend,
+  createEmailTransport,
+  createSmsTransport,
+  createHttpSmsClient,
+  createFcmTransport,
+  createConsoleTransport,
+} = require("../utils/notifications");
+
+const { EMAIL, SMS, PUSH } = CHANNELS;
+const E = NOTIFICATION_EVENTS;
+const NOW = new Date("2025-03-19T08:00:00.000Z");
+const MINUTE = 60 * 1000;
+
+const parcel = {
+  trackingId: "MX250319-7K4Q9D",
+  title: "Books",
+  receiverName: "Karim",
+  receiverDistrict: "Khulna",
+};
+
+const transports = {
+  [EMAIL]: createEmailTransport({}),
+  [SMS]: createSmsTransport({}),
+  [PUSH]: createFcmTransport({}),
+};
+
+const recipient = {
+  email: "rahim@example.com",
+  phone: "01700000000",
+  fcmTokens: ["token-1"],
+};
+
+describe("templates", () => {
+  it("has a template for every event", () => {
+    Object.values(E).forEach((event) =>
+      assert.deepEqual(
+        Object.keys(renderTemplate(event, {})),
+        ["subject", "text"],
+        event,
+      ),
+    );
+  });
+
+  it("fills in the event's values", () => {
+    assert.deepEqual(renderTemplate(E.PARCEL_DELIVERED, parcel), {
+      subject: "Parcel MX250319-7K4Q9D delivered",
+      text: 'Your parcel "Books" (MX250319-7K4Q9D) was delivered to Karim.',
+    });
+  });
+});
+
+describe("channelsFor", () => {
+  it("uses every channel of the event by default", () => {
+    assert.deepEqual(channelsFor(E.PARCEL_DELIVERED), [EMAIL, SMS, PUSH]);
+  });
+
+  it("drops channels the recipient switched off", () => {
+    assert.deepEqual(channelsFor(E.PARCEL_DELIVERED, { sms: false }), [
+      EMAIL,
+      PUSH,
+    ]);
+  });
+});
+
+describe("buildNotifications", () => {
+  it("queues one pending message per channel", () => {
+    const notifications = buildNotifications(
+      E.PARCEL_DELIVERED,
+      recipient,
+      parcel,
+      { parcelId: "p1" },
+      transports,
+      NOW,
+    );
+
+    assert.deepEqual(
+      notifications.map(({ channel, to }) => [channel, to]),
+      [
+        [EMAIL, "rahim@example.com"],
+        [SMS, "01700000000"],
+        [PUSH, ["token-1"]],
+      ],
+    );
+    assert.deepEqual(notifications[0], {
+      event: E.PARCEL_DELIVERED,
+      recipientEmail: "rahim@example.com",
+      channel: EMAIL,
+      to: "rahim@example.com",
+      subject: "Parcel MX250319-7K4Q9D delivered",
+      text: 'Your parcel "Books" (MX250319-7K4Q9D) was delivered to Karim.',
+      data: { event: E.PARCEL_DELIVERED, parcelId: "p1" },
+      status: NOTIFICATION_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: NOW,
+      createdAt: NOW,
+    });
+  });
+
+  it("skips channels without an address or a transport", () => {
+    const notifications = buildNotifications(
+      E.PARCEL_DELIVERED,
+      { email: "rahim@example.com", fcmTokens: [] },
+      parcel,
+      {},
+      { [EMAIL]: transports[EMAIL], [SMS]: transports[SMS] },
+      NOW,
+    );
+    assert.deepEqual(
+      notifications.map(({ channel }) => channel),
+      [EMAIL],
+    );
+  });
+
+  it("respects the recipient's preferences", () => {
+    const notifications = buildNotifications(
+      E.PARCEL_DELIVERED,
+      { ...recipient, preferences: { email: false, push: false } },
+      parcel,
+      {},
+      transports,
+      NOW,
+    );
+    assert.deepEqual(
+      notifications.map(({ channel }) => channel),
+      [SMS],
+    );
+  });
+});
+
+describe("outbox retries", () => {
+  it("backs off 1, 2, 4 ... minutes up to an hour", () => {
+    assert.deepEqual(
+      [1, 2, 3, 4, 7, 8, 20].map((attempts) => retryDelay(attempts) / MINUTE),
+      [1, 2, 4, 8, 60, 60, 60],
+    );
+  });
+
+  it("puts a failed message back in the outbox", () => {
+    assert.deepEqual(afterFailedSend(2, new Error("timeout"), NOW), {
+      status: NOTIFICATION_STATUS.PENDING,
+      lastError: "timeout",
+      nextAttemptAt: new Date(NOW.getTime() + 2 * MINUTE),
+    });
+  });
+
+  it("gives up after the last attempt", () => {
+    assert.equal(
+      afterFailedSend(MAX_NOTIFICATION_ATTEMPTS, new Error("timeout"), NOW)
+        .status,
+      NOTIFICATION_STATUS.FAILED,
+    );
+  });
+});
+
+describe("transports", () => {
+  const realFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  it("posts SMS to the gateway and throws when it refuses", async () => {
+    const requests = [];
+    global.fetch = async (url, options) => {
+      requests.push({ url, options });
+      return { ok: requests.length === 1, status: 503 };
+    };
+    const client = createHttpSmsClient({
+      url: "https://sms.example.com/send",
+      apiKey: "key",
+      sender: "Mirpur",
+    });
+
+    await client.sendSms({ to: "01700000000", text: "Hi" });
+    assert.equal(requests[0].options.headers.Authorization, "Bearer key");
+    assert.deepEqual(JSON.parse(requests[0].options.body), {
+      to: "01700000000",
+      text: "Hi",
+      sender: "Mirpur",
+    });
+
+    await assert.rejects(
+      client.sendSms({ to: "01700000000", text: "Hi" }),
+      /SMS gateway responded 503/,
+    );
+  });
+
+  it("fails a push that no device accepted", async () => {
+    const messages = [];
+    const push = createFcmTransport({
+      sendEachForMulticast: async (message) => {
+        messages.push(message);
+        return {
+          successCount: 0,
+          responses: [{ error: { message: "Token expired" } }],
+        };
+      },
+    });
+
+    await assert.rejects(
+      push.send({
+        to: ["token-1"],
+        subject: "Hi",
+        text: "Hello",
+        data: { amount: 100 },
+      }),
+      /Token expired/,
+    );
+    // FCM data values must be strings
+    assert.deepEqual(messages[0].data, { amount: "100" });
+  });
+
+  it("addresses each channel from the recipient", () => {
+    assert.equal(transports[EMAIL].addressFor({}), null);
+    assert.equal(transports[SMS].addressFor(recipient), "01700000000");
+    assert.equal(transports[PUSH].addressFor({ fcmTokens: [] }), null);
+    assert.equal(
+      createConsoleTransport(SMS).addressFor(recipient),
+      "01700000000",
+    );
+    assert.equal(createConsoleTransport(PUSH).addressFor({}), null);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+
+const { paginate } = require("../utils/pagination");
+
+// MongoDB's order for the values used here: missing and null first, then
+// numbers, then ObjectIds by creation
+const rank = (value) => (value === undefined || value === null ? 0 : 1);
+const compare = (a, b) =>
+  rank(a) - rank(b) || (rank(a) === 0 ? 0 : a < b ? -1 : a > b ? 1 : 0);
+
+const sameType = (a, b) => rank(a) === 1 && rank(b) === 1;
+
+const matchesValue = (actual, expected) => {
+  if (expected === null) return actual === undefined || actual === null;
+  if (expected instanceof ObjectId) return expected.equals(actual);
+  if (typeof expected !== "object") return actual === expected;
+  return Object.entries(expected).every(([op, operand]) => {
+    if (op === "$ne") return !matchesValue(actual, operand);
+    if (!sameType(actual, operand)) return false;
+    return op === "$lt" ? actual < operand : actual > operand;
+  });
+};
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, expected]) => {
+    if (key === "$and") return expected.every((part) => matches(doc, part));
+    if (key === "$or") return expected.some((part) => matches(doc, part));
+    return matchesValue(doc[key], expected);
+  });
+
+// find().sort().limit().toArray() and countDocuments over an array
+const fakeCollection = (docs) => ({
+  find: (filter) => {
+    let result = docs.filter((doc) => matches(doc, filter));
+    const cursor = {
+      sort: (spec) => {
+        const fields = Object.entries(spec);
+        result = [...result].sort((a, b) => {
+          for (const [field, direction] of fields) {
+            const order = compare(a[field], b[field]) * direction;
+            if (order) return order;
+          }
+          return 0;
+        });
+        return cursor;
+      },
+      limit: (count) => {
+        result = result.slice(0, count);
+        return cursor;
+      },
+      toArray: async () => result,
+    };
+    return cursor;
+  },
+  countDocuments: async (filter) =>
+    docs.filter((doc) => matches(doc, filter)).length,
+});
+
+const collectPages = async (collection, options) => {
+  const seen = [];
+  let cursor;
+  do {
+    const page = await paginate(collection, {}, { ...options, cursor });
+    seen.push(...page.data);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return seen;
+};
+
+describe("paginate", () => {
+  // riders approved before performanceScore existed have no score at all
+  const riders = [90, undefined, 70, null, 70, undefined, 55, 90, null].map(
+    (performanceScore) => ({
+      _id: new ObjectId(),
+      ...(performanceScore !== undefined && { performanceScore }),
+    }),
+  );
+  const collection = fakeCollection(riders);
+
+  for (const order of ["desc", "asc"]) {
+    it(`returns every document once, ${order}, across missing and null sort values`, async () => {
+      const seen = await collectPages(collection, {
+        sort: "performanceScore",
+        order,
+        limit: 2,
+      });
+
+      assert.equal(seen.length, riders.length);
+      assert.equal(new Set(seen.map((doc) => doc._id.toString())).size, 9);
+
+      const scores = seen.map((doc) => doc.performanceScore ?? null);
+      const sorted = [...scores].sort(
+        (a, b) => compare(a, b) * (order === "asc" ? 1 : -1),
+      );
+      assert.deepEqual(scores, sorted);
+    });
+  }
+});
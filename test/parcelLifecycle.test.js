@@ -0,0 +1,295 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  PARCEL_STATUS,
+  INITIAL_STATUS,
+  TRANSITIONS,
+  LifecycleError,
+  currentStatus,
+  findTransition,
+  allowedNextStatuses,
+  assertTransition,
+  buildTransitionUpdate,
+} = require("../utils/parcelLifecycle");
+
+const RIDER = "rider@example.com";
+const SENDER = "sender@example.com";
+const HUB_ID = "64f000000000000000000001";
+
+const parcel = (deliveryStatus, fields = {}) => ({
+  deliveryStatus,
+  createdBy: SENDER,
+  riderEmail: RIDER,
+  senderDistrict: "Dhaka",
+  receiverDistrict: "Dhaka",
+  ...fields,
+});
+
+const admin = { email: "admin@example.com", role: "admin" };
+const rider = { email: RIDER, role: "rider" };
+const sender = { email: SENDER, role: "user" };
+const hub = { email: "hub@example.com", role: "hub", hubId: HUB_ID };
+
+const interDistrictPickup = () =>
+  parcel(PARCEL_STATUS.IN_TRANSIT, { receiverDistrict: "Chattogram" });
+
+const rejects = (fn, status, pattern) =>
+  assert.throws(fn, (error) => {
+    assert.ok(error instanceof LifecycleError);
+    assert.equal(error.status, status);
+    if (pattern) assert.match(error.message, pattern);
+    return true;
+  });
+
+describe("transition table", () => {
+  it("only names known statuses and roles", () => {
+    const statuses = Object.values(PARCEL_STATUS);
+    TRANSITIONS.forEach((t) => {
+      assert.ok(statuses.includes(t.from), t.from);
+      assert.ok(statuses.includes(t.to), t.to);
+      t.roles.forEach((role) =>
+        assert.ok(["admin", "rider", "user", "hub"].includes(role), role),
+      );
+    });
+  });
+
+  it("has one entry per pair of statuses", () => {
+    const pairs = TRANSITIONS.map((t) => `${t.from} -> ${t.to}`);
+    assert.equal(new Set(pairs).size, pairs.length);
+  });
+
+  it("leaves delivered and cancelled parcels where they are", () => {
+    [
+      PARCEL_STATUS.DELIVERED,
+      PARCEL_STATUS.SC_DELIVERED,
+      PARCEL_STATUS.CANCELLED,
+    ].forEach((status) => assert.deepEqual(allowedNextStatuses(status), []));
+  });
+
+  it("treats a parcel without a status as not collected", () => {
+    assert.equal(currentStatus({}), INITIAL_STATUS);
+    assert.equal(
+      findTransition(INITIAL_STATUS, PARCEL_STATUS.RIDER_ASSIGNED).message,
+      "Rider assigned",
+    );
+  });
+
+  it("lists the next statuses a role may choose", () => {
+    assert.deepEqual(allowedNextStatuses(PARCEL_STATUS.IN_TRANSIT, "rider"), [
+      PARCEL_STATUS.IN_TRANSIT,
+      PARCEL_STATUS.DELIVERED,
+      PARCEL_STATUS.SC_DELIVERED,
+    ]);
+    assert.deepEqual(allowedNextStatuses(PARCEL_STATUS.IN_TRANSIT, "hub"), [
+      PARCEL_STATUS.AT_HUB,
+    ]);
+  });
+});
+
+describe("assertTransition", () => {
+  it("returns the transition for an allowed move", () => {
+    const transition = assertTransition(
+      parcel(PARCEL_STATUS.RIDER_ASSIGNED),
+      PARCEL_STATUS.IN_TRANSIT,
+      rider,
+    );
+    assert.equal(transition.to, PARCEL_STATUS.IN_TRANSIT);
+    assert.deepEqual(transition.timestamps, ["pickedAt"]);
+  });
+
+  it("rejects moves that are not in the table with 409", () => {
+    rejects(
+      () =>
+        assertTransition(
+          parcel(PARCEL_STATUS.NOT_COLLECTED),
+          PARCEL_STATUS.DELIVERED,
+          admin,
+        ),
+      409,
+      /Cannot change parcel status/,
+    );
+    rejects(
+      () =>
+        assertTransition(
+          parcel(PARCEL_STATUS.DELIVERED),
+          PARCEL_STATUS.IN_TRANSIT,
+          admin,
+        ),
+      409,
+    );
+  });
+
+  it("rejects roles the transition does not list with 403", () => {
+    rejects(
+      () =>
+        assertTransition(
+          parcel(PARCEL_STATUS.NOT_COLLECTED),
+          PARCEL_STATUS.RIDER_ASSIGNED,
+          rider,
+        ),
+      403,
+      /Role "rider"/,
+    );
+    rejects(
+      () =>
+        assertTransition(
+          parcel(PARCEL_STATUS.NOT_COLLECTED),
+          PARCEL_STATUS.CANCELLED,
+          undefined,
+        ),
+      403,
+      /Role "guest"/,
+    );
+  });
+
+  it("lets riders move only parcels assigned to them", () => {
+    rejects(
+      () =>
+        assertTransition(
+          parcel(PARCEL_STATUS.RIDER_ASSIGNED, {
+            riderEmail: "other@example.com",
+          }),
+          PARCEL_STATUS.IN_TRANSIT,
+          rider,
+        ),
+      403,
+      /not assigned to you/,
+    );
+  });
+
+  it("lets customers cancel only their own parcels", () => {
+    assert.ok(
+      assertTransition(
+        parcel(PARCEL_STATUS.NOT_COLLECTED),
+        PARCEL_STATUS.CANCELLED,
+        sender,
+      ),
+    );
+    rejects(
+      () =>
+        assertTransition(
+          parcel(PARCEL_STATUS.NOT_COLLECTED, {
+            createdBy: "other@example.com",
+          }),
+          PARCEL_STATUS.CANCELLED,
+          sender,
+        ),
+      403,
+      /does not belong to you/,
+    );
+    rejects(
+      () =>
+        assertTransition(
+          parcel(PARCEL_STATUS.IN_TRANSIT),
+          PARCEL_STATUS.CANCELLED,
+          sender,
+        ),
+      403,
+    );
+  });
+
+  it("lets only the hub holding the parcel move it on", () => {
+    assert.ok(
+      assertTransition(
+        parcel(PARCEL_STATUS.AT_HUB, { currentHubId: HUB_ID }),
+        PARCEL_STATUS.LINEHAUL,
+        hub,
+      ),
+    );
+    rejects(
+      () =>
+        assertTransition(
+          parcel(PARCEL_STATUS.AT_HUB, {
+            currentHubId: "64f000000000000000000002",
+          }),
+          PARCEL_STATUS.LINEHAUL,
+          hub,
+        ),
+      403,
+      /another hub/,
+    );
+  });
+
+  it("records a rider going out for delivery once", () => {
+    const inTransit = parcel(PARCEL_STATUS.IN_TRANSIT);
+    assert.equal(
+      assertTransition(inTransit, PARCEL_STATUS.IN_TRANSIT, rider).message,
+      "Out for delivery",
+    );
+    rejects(
+      () =>
+        assertTransition(
+          { ...inTransit, deliveryStartedAt: new Date().toISOString() },
+          PARCEL_STATUS.IN_TRANSIT,
+          rider,
+        ),
+      409,
+      /already recorded/,
+    );
+    rejects(
+      () =>
+        assertTransition(
+          interDistrictPickup(),
+          PARCEL_STATUS.IN_TRANSIT,
+          rider,
+        ),
+      409,
+      /destination hub/,
+    );
+  });
+
+  describe("inter-district parcels", () => {
+    const interDistrict = (fields = {}) =>
+      parcel(PARCEL_STATUS.IN_TRANSIT, {
+        senderDistrict: "Dhaka",
+        receiverDistrict: "Chattogram",
+        ...fields,
+      });
+
+    it("cannot be delivered by the pickup rider", () => {
+      [PARCEL_STATUS.DELIVERED, PARCEL_STATUS.SC_DELIVERED].forEach((to) =>
+        rejects(
+          () => assertTransition(interDistrict(), to, rider),
+          409,
+          /destination hub/,
+        ),
+      );
+    });
+
+    it("can be delivered once a hub handed them out", () => {
+      const handedOut = interDistrict({
+        outForDeliveryAt: new Date().toISOString(),
+      });
+      assert.ok(assertTransition(handedOut, PARCEL_STATUS.DELIVERED, rider));
+    });
+
+    it("can still be closed by an admin", () => {
+      assert.ok(
+        assertTransition(interDistrict(), PARCEL_STATUS.DELIVERED, admin),
+      );
+    });
+
+    it("compares districts by their canonical name", () => {
+      const sameDistrict = parcel(PARCEL_STATUS.IN_TRANSIT, {
+        senderDistrict: "Chittagong",
+        receiverDistrict: "chattogram",
+      });
+      assert.ok(assertTransition(sameDistrict, PARCEL_STATUS.DELIVERED, rider));
+    });
+  });
+});
+
+describe("buildTransitionUpdate", () => {
+  it("sets the status and the transition's timestamps as ISO strings", () => {
+    const now = new Date("2025-03-19T10:00:00.000Z");
+    const transition = findTransition(
+      PARCEL_STATUS.IN_TRANSIT,
+      PARCEL_STATUS.DELIVERED,
+    );
+    assert.deepEqual(buildTransitionUpdate(transition, now), {
+      deliveryStatus: PARCEL_STATUS.DELIVERED,
+      deliveredAt: "2025-03-19T10:00:00.000Z",
+    });
+  });
+});
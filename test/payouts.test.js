@@ -0,0 +1,158 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  PAYOUT_STATUS,
+  OPEN_CASHOUT_STATUSES,
+  MAX_PAYOUT_ATTEMPTS,
+  afterFailedPayout,
+  PayoutError,
+  createStripeConnectProvider,
+  createMobileWalletProvider,
+  createMockProvider,
+} = require("../utils/payouts");
+
+const payout = {
+  amount: 1250.5,
+  destination: "acct_123",
+  reference: "cashout_1",
+  idempotencyKey: "cashout_1-1",
+  metadata: { cashoutId: "1" },
+};
+
+describe("afterFailedPayout", () => {
+  it("keeps the hold while attempts are left", () => {
+    for (let attempt = 1; attempt < MAX_PAYOUT_ATTEMPTS; attempt += 1) {
+      assert.deepEqual(afterFailedPayout(attempt), {
+        cashoutStatus: "Payout failed",
+        releaseHold: false,
+      });
+    }
+  });
+
+  it("releases the hold on the last attempt", () => {
+    assert.deepEqual(afterFailedPayout(MAX_PAYOUT_ATTEMPTS), {
+      cashoutStatus: "Failed",
+      releaseHold: true,
+    });
+    assert.equal(afterFailedPayout(MAX_PAYOUT_ATTEMPTS + 1).releaseHold, true);
+  });
+
+  it("keeps a cashout open only while it will be retried", () => {
+    assert.ok(
+      OPEN_CASHOUT_STATUSES.includes(afterFailedPayout(1).cashoutStatus),
+    );
+    assert.ok(
+      !OPEN_CASHOUT_STATUSES.includes(
+        afterFailedPayout(MAX_PAYOUT_ATTEMPTS).cashoutStatus,
+      ),
+    );
+  });
+});
+
+describe("Stripe Connect provider", () => {
+  const calls = [];
+  const stripe = {
+    transfers: {
+      create: async (params, options) => {
+        calls.push({ params, options });
+        return { id: "tr_1" };
+      },
+    },
+  };
+  const provider = createStripeConnectProvider(stripe, { currency: "bdt" });
+
+  it("pays riders with a connected account", () => {
+    assert.equal(
+      provider.destinationFor({ payoutAccount: { stripeAccountId: "acct_1" } }),
+      "acct_1",
+    );
+    assert.equal(provider.destinationFor({}), null);
+  });
+
+  it("transfers the amount in the smallest unit, once per key", async () => {
+    const result = await provider.initiatePayout(payout);
+
+    assert.deepEqual(result, {
+      status: PAYOUT_STATUS.SUCCEEDED,
+      reference: "tr_1",
+    });
+    assert.deepEqual(calls[0], {
+      params: {
+        amount: 125050,
+        currency: "bdt",
+        destination: "acct_123",
+        transfer_group: "cashout_1",
+        metadata: { cashoutId: "1" },
+      },
+      options: { idempotencyKey: "cashout_1-1" },
+    });
+  });
+
+  it("has no callback, reversals come through the Stripe webhook", () => {
+    assert.equal(provider.parseCallback, null);
+  });
+});
+
+describe("mobile wallet provider", () => {
+  const client = {
+    sendMoney: async ({ walletNumber, amount, reference }) => ({
+      transactionId: `${walletNumber}:${amount}:${reference}`,
+    }),
+    verifyCallback: (req) => {
+      if (req.headers.signature !== "ok") throw new Error("bad signature");
+      return { reference: "tx_1", status: PAYOUT_STATUS.SUCCEEDED };
+    },
+  };
+  const provider = createMobileWalletProvider("bkash", client);
+
+  it("only pays riders whose wallet is with this provider", () => {
+    const account = (walletProvider) => ({
+      payoutAccount: { walletProvider, walletNumber: "01700000000" },
+    });
+    assert.equal(provider.destinationFor(account("bkash")), "01700000000");
+    assert.equal(provider.destinationFor(account("nagad")), null);
+    assert.equal(provider.destinationFor({}), null);
+  });
+
+  it("stays pending until the wallet calls back", async () => {
+    assert.deepEqual(
+      await provider.initiatePayout({ ...payout, destination: "01700000000" }),
+      {
+        status: PAYOUT_STATUS.PENDING,
+        reference: "01700000000:1250.5:cashout_1",
+      },
+    );
+  });
+
+  it("accepts authentic callbacks and rejects the rest with 401", () => {
+    assert.deepEqual(provider.parseCallback({ headers: { signature: "ok" } }), {
+      reference: "tx_1",
+      status: PAYOUT_STATUS.SUCCEEDED,
+    });
+    assert.throws(
+      () => provider.parseCallback({ headers: {} }),
+      (error) => {
+        assert.ok(error instanceof PayoutError);
+        assert.equal(error.status, 401);
+        return true;
+      },
+    );
+  });
+});
+
+describe("mock provider", () => {
+  it("succeeds by default", async () => {
+    const result = await createMockProvider().initiatePayout(payout);
+    assert.equal(result.status, PAYOUT_STATUS.SUCCEEDED);
+    assert.equal(result.reference, "mock_cashout_1");
+  });
+
+  it("fails with a reason when asked to", async () => {
+    const result = await createMockProvider({
+      outcome: PAYOUT_STATUS.FAILED,
+    }).initiatePayout(payout);
+    assert.equal(result.status, PAYOUT_STATUS.FAILED);
+    assert.equal(result.failureReason, "Mock payout failure");
+  });
+});
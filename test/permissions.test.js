@@ -0,0 +1,326 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { ObjectId } = require("mongodb");
+
+const {
+  ROLES,
+  ROUTE_POLICIES,
+  getRoutePolicy,
+  isPublic,
+  isRoleAllowed,
+  ownershipCheckFor,
+  isAllowed,
+} = require("../utils/permissions");
+const { createOwnershipChecks } = require("../utils/ownership");
+
+// "METHOD /path" of every route index.js sends through authorize
+const authorizedRoutes = () => {
+  const source = fs.readFileSync(path.join(__dirname, "../index.js"), "utf8");
+  const pattern =
+    /app\.(get|post|put|patch|delete)\(\s*"([^"]+)",\s*authorize\b/g;
+  return [...source.matchAll(pattern)].map(
+    ([, method, routePath]) => `${method.toUpperCase()} ${routePath}`,
+  );
+};
+
+// findOne over an array, enough for the equality and $in filters the
+// ownership checks send
+const fakeCollection = (docs) => ({
+  findOne: async (filter) =>
+    docs.find((doc) =>
+      Object.entries(filter).every(([field, expected]) =>
+        expected?.$in
+          ? expected.$in.includes(doc[field])
+          : String(doc[field]) === String(expected),
+      ),
+    ) || null,
+});
+
+const OWNER = "owner@example.com";
+const STRANGER = "stranger@example.com";
+
+const parcel = {
+  _id: new ObjectId(),
+  trackingId: "MX250319-7K4Q9D",
+  createdBy: OWNER,
+  riderEmail: OWNER,
+};
+const rider = { _id: new ObjectId(), email: OWNER };
+const settlement = { _id: new ObjectId(), merchantEmail: OWNER };
+const hubId = new ObjectId().toString();
+
+const ownershipChecks = createOwnershipChecks({
+  parcelCollection: fakeCollection([parcel]),
+  riderCollection: fakeCollection([rider]),
+  settlementCollection: fakeCollection([settlement]),
+  userCollection: fakeCollection([
+    { email: OWNER, hubId },
+    { email: STRANGER, hubId: new ObjectId().toString() },
+  ]),
+});
+
+const request = (email, { params = {}, query = {}, body = {} } = {}) => ({
+  decoded: { email },
+  params,
+  query,
+  body,
+});
+
+// Per check: the params/query/body that name the owner's resource
+const OWNED = {
+  emailQuery: { query: { email: OWNER } },
+  emailBody: { body: { email: OWNER } },
+  parcelCreator: { params: { id: parcel._id.toString() } },
+  assignedParcel: { params: { id: parcel._id.toString() } },
+  settlementOwner: { params: { id: settlement._id.toString() } },
+  hubStaff: { params: { id: hubId } },
+  riderSelf: { params: { id: rider._id.toString() } },
+};
+
+const SIGNED_IN_ROLES = Object.values(ROLES).filter(
+  (role) => role !== ROLES.PUBLIC,
+);
+
+const { ADMIN, RIDER, CUSTOMER, PUBLIC } = ROLES;
+
+// Who may call the routes that move money or decide who rides, written out
+// here rather than read from the matrix so that widening one of them fails.
+// Per route, each allowed role: true, or the ownership check it must pass.
+const SENSITIVE_ROUTES = {
+  // payments
+  "GET /payments": { [ADMIN]: true, [CUSTOMER]: "emailQuery" },
+  "POST /payments": { [CUSTOMER]: "parcelCreator" },
+  "POST /create-payment-intent": { [CUSTOMER]: "parcelCreator" },
+  "POST /refunds/:id/retry": { [ADMIN]: true },
+  "POST /webhooks/stripe": { [PUBLIC]: true },
+
+  // cashouts and payouts
+  "POST /riders/cashout": { [RIDER]: true },
+  "GET /riders/cashout-history": { [RIDER]: true },
+  "GET /riders/balance": { [RIDER]: true },
+  "GET /riders/ledger": { [RIDER]: true },
+  "GET /admin/riders/ledger": { [ADMIN]: true },
+  "POST /admin/riders/reconcile": { [ADMIN]: true },
+  "GET /admin/cashout-requests": { [ADMIN]: true },
+  "PATCH /admin/cashout/:id": { [ADMIN]: true },
+  "POST /admin/cashout/:id/retry-payout": { [ADMIN]: true },
+  "GET /admin/cashout/:id/payouts": { [ADMIN]: true },
+  "PATCH /admin/riders/:id/payout-account": { [ADMIN]: true },
+  "POST /payouts/callback/:provider": { [PUBLIC]: true },
+  "PATCH /parcels/:id/cashout": { [ADMIN]: true, [RIDER]: true },
+
+  // COD cash and deposits
+  "PATCH /parcels/:id/cod-collection": {
+    [ADMIN]: true,
+    [RIDER]: "assignedParcel",
+  },
+  "GET /riders/cod-cash": { [RIDER]: true },
+  "GET /admin/cod-cash": { [ADMIN]: true },
+  "POST /admin/cod-deposits": { [ADMIN]: true },
+  "GET /admin/cod-deposits": { [ADMIN]: true },
+  "POST /admin/cod-settlements/run": { [ADMIN]: true },
+  "PATCH /admin/cod-settlements/:id": { [ADMIN]: true },
+
+  // audit
+  "GET /admin/audit-log": { [ADMIN]: true },
+
+  // rider approval
+  "POST /riders": { [CUSTOMER]: true },
+  "PATCH /riders/:id/approve": { [ADMIN]: true },
+  "PATCH /riders/:id/reject": { [ADMIN]: true },
+  "PATCH /riders/deactivate/:id": { [ADMIN]: true },
+  "DELETE /riders/:id": { [ADMIN]: true },
+  "PATCH /riders/:id/tier": { [ADMIN]: true },
+};
+
+describe("ownership checks", () => {
+  Object.entries(OWNED).forEach(([name, parts]) => {
+    it(`${name} allows the owner and denies anyone else`, async () => {
+      const check = ownershipChecks[name];
+      assert.equal(!!(await check(request(OWNER, parts))), true);
+      assert.equal(!!(await check(request(STRANGER, parts))), false);
+    });
+  });
+
+  it("parcel checks also find the parcel by body.parcelId and trackingId", async () => {
+    const byId = { body: { parcelId: parcel._id.toString() } };
+    const byTrackingId = {
+      body: { trackingId: parcel.trackingId.toLowerCase() },
+    };
+    assert.equal(
+      await ownershipChecks.parcelCreator(request(OWNER, byId)),
+      true,
+    );
+    assert.equal(
+      await ownershipChecks.assignedParcel(request(OWNER, byTrackingId)),
+      true,
+    );
+  });
+
+  it("compare emails and ids the way validate normalizes them", async () => {
+    const padded = ` ${OWNER.toUpperCase()} `;
+    assert.equal(
+      await ownershipChecks.emailQuery(
+        request(OWNER, { query: { email: padded } }),
+      ),
+      true,
+    );
+    assert.equal(
+      await ownershipChecks.emailBody(
+        request(OWNER, { body: { email: padded } }),
+      ),
+      true,
+    );
+    assert.equal(
+      await ownershipChecks.parcelCreator(
+        request(OWNER.toUpperCase(), {
+          body: { parcelId: ` ${parcel._id} ` },
+        }),
+      ),
+      true,
+    );
+    assert.equal(
+      await ownershipChecks.assignedParcel(
+        request(OWNER, { body: { trackingId: ` ${parcel.trackingId} ` } }),
+      ),
+      true,
+    );
+  });
+
+  it("deny unknown or malformed ids", async () => {
+    const unknown = { params: { id: new ObjectId().toString() } };
+    const malformed = { params: { id: "not-an-id" } };
+    for (const name of ["parcelCreator", "riderSelf", "settlementOwner"]) {
+      assert.equal(await ownershipChecks[name](request(OWNER, unknown)), false);
+      assert.equal(
+        await ownershipChecks[name](request(OWNER, malformed)),
+        false,
+      );
+    }
+    assert.equal(
+      await ownershipChecks.hubStaff(
+        request("nobody@example.com", OWNED.hubStaff),
+      ),
+      false,
+    );
+  });
+});
+
+describe("route policies", () => {
+  it("every ownership check named in the matrix exists", () => {
+    Object.entries(ROUTE_POLICIES).forEach(([route, policy]) =>
+      Object.values(policy.owns || {}).forEach((name) =>
+        assert.equal(typeof ownershipChecks[name], "function", route),
+      ),
+    );
+  });
+
+  it("has an entry for every route that goes through authorize", () => {
+    const routes = authorizedRoutes();
+    assert.ok(routes.length > 0);
+    routes.forEach((route) => assert.ok(ROUTE_POLICIES[route], route));
+  });
+
+  it("has no entries for routes that do not go through authorize", () => {
+    const routes = new Set(authorizedRoutes());
+    Object.keys(ROUTE_POLICIES).forEach((route) =>
+      assert.ok(routes.has(route), route),
+    );
+  });
+
+  Object.entries(SENSITIVE_ROUTES).forEach(([route, expected]) => {
+    it(`${route} is open to exactly the expected roles`, () => {
+      const policy = ROUTE_POLICIES[route];
+      assert.ok(policy, route);
+
+      Object.values(ROLES).forEach((role) => {
+        assert.equal(isRoleAllowed(policy, role), role in expected, role);
+        if (role in expected) {
+          assert.equal(
+            ownershipCheckFor(policy, role),
+            expected[role] === true ? null : expected[role],
+            role,
+          );
+        }
+      });
+    });
+  });
+
+  it("denies routes missing from the matrix", () => {
+    assert.equal(getRoutePolicy("GET", "/not-a-route"), null);
+    assert.equal(getRoutePolicy("DELETE", "/users/search"), null);
+    assert.equal(getRoutePolicy("POST", "/parcels/:parcelId"), null);
+  });
+
+  it("treats HEAD like GET", () => {
+    assert.equal(
+      getRoutePolicy("HEAD", "/parcels"),
+      ROUTE_POLICIES["GET /parcels"],
+    );
+  });
+
+  Object.entries(ROUTE_POLICIES).forEach(([route, policy]) => {
+    const [method, path] = route.split(" ");
+
+    describe(route, () => {
+      it("is found by method and path", () => {
+        assert.equal(getRoutePolicy(method, path), policy);
+      });
+
+      if (isPublic(policy)) {
+        it("is public", () => {
+          assert.equal(isRoleAllowed(policy, ROLES.PUBLIC), true);
+        });
+        return;
+      }
+
+      SIGNED_IN_ROLES.forEach((role) => {
+        if (!isRoleAllowed(policy, role)) {
+          it(`denies ${role}`, async () => {
+            const req = request(OWNER, OWNED[ownershipCheckFor(policy, role)]);
+            assert.equal(
+              await isAllowed(policy, role, ownershipChecks, req),
+              false,
+            );
+          });
+          return;
+        }
+
+        const checkName = ownershipCheckFor(policy, role);
+        if (!checkName) {
+          it(`allows ${role}`, async () => {
+            assert.equal(
+              await isAllowed(policy, role, ownershipChecks, request(STRANGER)),
+              true,
+            );
+          });
+          return;
+        }
+
+        it(`allows ${role} on their own resource`, async () => {
+          const req = request(OWNER, OWNED[checkName]);
+          assert.equal(
+            await isAllowed(policy, role, ownershipChecks, req),
+            true,
+          );
+        });
+        it(`denies ${role} on someone else's resource`, async () => {
+          const req = request(STRANGER, OWNED[checkName]);
+          assert.equal(
+            await isAllowed(policy, role, ownershipChecks, req),
+            false,
+          );
+        });
+      });
+
+      it("denies an unknown role", async () => {
+        assert.equal(
+          await isAllowed(policy, "guest", ownershipChecks, request(OWNER)),
+          false,
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  PricingError,
+  normalizeType,
+  quoteDeliveryCharge,
+} = require("../utils/pricing");
+
+const quote = (fields) =>
+  quoteDeliveryCharge({
+    senderDistrict: "Dhaka",
+    receiverDistrict: "Dhaka",
+    ...fields,
+  });
+
+describe("quoteDeliveryCharge", () => {
+  // [case, fields, total]
+  const cases = [
+    ["document within a district", { type: "document" }, 60],
+    [
+      "document between districts",
+      { type: "document", receiverDistrict: "Khulna" },
+      80,
+    ],
+    ["parcel up to 3kg within", { type: "non-document", weight: 3 }, 110],
+    [
+      "parcel up to 3kg between",
+      { type: "non-document", weight: 2, receiverDistrict: "Khulna" },
+      150,
+    ],
+    // every started kg over 3 costs 40
+    ["parcel of 4.2kg within", { type: "non-document", weight: 4.2 }, 190],
+    // plus the outside district surcharge, once
+    [
+      "parcel of 5kg between",
+      { type: "non-document", weight: 5, receiverDistrict: "Khulna" },
+      270,
+    ],
+  ];
+
+  cases.forEach(([name, fields, total]) => {
+    it(`prices a ${name} at ${total}`, () => {
+      const result = quote(fields);
+      assert.equal(result.total, total);
+      assert.equal(
+        result.breakdown.reduce((sum, item) => sum + item.amount, 0),
+        total,
+      );
+    });
+  });
+
+  it("treats district spelling variants as the same district", () => {
+    const result = quote({
+      type: "document",
+      senderDistrict: "Chittagong",
+      receiverDistrict: " chattogram ",
+    });
+    assert.equal(result.withinDistrict, true);
+    assert.equal(result.total, 60);
+  });
+
+  it("ignores the weight of documents", () => {
+    const result = quote({ type: "Document", weight: 20 });
+    assert.equal(result.weight, null);
+    assert.equal(result.total, 60);
+  });
+
+  it("rejects unknown types, missing districts and bad weights", () => {
+    [
+      { type: "furniture", weight: 1 },
+      { type: "document", receiverDistrict: "" },
+      { type: "non-document" },
+      { type: "non-document", weight: 0 },
+      { type: "non-document", weight: "heavy" },
+    ].forEach((fields) =>
+      assert.throws(
+        () => quote(fields),
+        (error) => {
+          assert.ok(error instanceof PricingError);
+          assert.equal(error.status, 400);
+          return true;
+        },
+      ),
+    );
+  });
+});
+
+describe("normalizeType", () => {
+  it("accepts the spellings clients send", () => {
+    ["non-document", "Non Document", "non_document", " NON-DOCUMENT "].forEach(
+      (type) => assert.equal(normalizeType(type), "non-document"),
+    );
+  });
+});
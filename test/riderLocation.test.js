@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  locationTtlMinutes,
+  distanceKm,
+  estimateEta,
+  approximate,
+  isStale,
+} = require("../utils/riderLocation");
+
+const mirpur = { lat: 23.8041, lng: 90.3667 };
+const motijheel = { lat: 23.7331, lng: 90.4172 };
+const NOW = new Date("2025-03-19T08:00:00.000Z");
+const MINUTE = 60 * 1000;
+
+// the settings are read from the environment on every call
+const saved = {
+  ttl: process.env.RIDER_LOCATION_TTL_MINUTES,
+  speed: process.env.RIDER_AVERAGE_SPEED_KMH,
+};
+const restore = (name, value) => {
+  if (value === undefined) delete process.env[name];
+  else process.env[name] = value;
+};
+beforeEach(() => {
+  delete process.env.RIDER_LOCATION_TTL_MINUTES;
+  delete process.env.RIDER_AVERAGE_SPEED_KMH;
+});
+afterEach(() => {
+  restore("RIDER_LOCATION_TTL_MINUTES", saved.ttl);
+  restore("RIDER_AVERAGE_SPEED_KMH", saved.speed);
+});
+
+describe("distanceKm", () => {
+  it("measures the straight line between two points", () => {
+    assert.equal(Math.round(distanceKm(mirpur, motijheel) * 10) / 10, 9.4);
+  });
+
+  it("is zero for the same point", () => {
+    assert.equal(distanceKm(mirpur, mirpur), 0);
+  });
+});
+
+describe("estimateEta", () => {
+  it("drives the road distance at the average city speed", () => {
+    const eta = estimateEta(mirpur, motijheel, NOW);
+
+    // 9.4 km straight, 12.2 km by road, at 18 km/h
+    assert.equal(eta.distanceKm, 12.2);
+    assert.equal(eta.etaMinutes, 41);
+    assert.deepEqual(
+      eta.estimatedArrival,
+      new Date(NOW.getTime() + 41 * MINUTE),
+    );
+  });
+
+  it("reads RIDER_AVERAGE_SPEED_KMH when the ETA is computed", () => {
+    process.env.RIDER_AVERAGE_SPEED_KMH = "36";
+    assert.equal(estimateEta(mirpur, motijheel, NOW).etaMinutes, 21);
+  });
+
+  it("rounds up to whole minutes", () => {
+    const nextDoor = { lat: mirpur.lat + 0.0001, lng: mirpur.lng };
+    assert.equal(estimateEta(mirpur, nextDoor, NOW).etaMinutes, 1);
+  });
+});
+
+describe("approximate", () => {
+  it("rounds to about 100 m", () => {
+    assert.deepEqual(approximate({ lat: 23.80412, lng: 90.36678 }), {
+      lat: 23.804,
+      lng: 90.367,
+    });
+  });
+});
+
+describe("isStale", () => {
+  it("expires pings after 15 minutes by default", () => {
+    assert.equal(locationTtlMinutes(), 15);
+    assert.equal(isStale(new Date(NOW.getTime() - 15 * MINUTE), NOW), false);
+    assert.equal(isStale(new Date(NOW.getTime() - 16 * MINUTE), NOW), true);
+  });
+
+  it("reads RIDER_LOCATION_TTL_MINUTES when it is checked", () => {
+    process.env.RIDER_LOCATION_TTL_MINUTES = "5";
+    assert.equal(locationTtlMinutes(), 5);
+    assert.equal(isStale(new Date(NOW.getTime() - 6 * MINUTE), NOW), true);
+  });
+
+  it("takes stored ISO strings", () => {
+    assert.equal(isStale(NOW.toISOString(), NOW), false);
+  });
+});
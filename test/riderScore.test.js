@@ -0,0 +1,93 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  SCORE_WINDOW_DAYS,
+  DEFAULT_SCORE,
+  windowStart,
+  computeRiderScore,
+  cancellationQuery,
+} = require("../utils/riderScore");
+
+describe("computeRiderScore", () => {
+  it("starts riders without history at the default score", () => {
+    assert.equal(computeRiderScore({}), DEFAULT_SCORE);
+  });
+
+  it("gives a perfect rider 100", () => {
+    assert.equal(
+      computeRiderScore({
+        averageRating: 5,
+        ratings: 12,
+        deliveries: 40,
+        averageMinutes: 90,
+      }),
+      100,
+    );
+  });
+
+  // rating 50%, reliability 30%, speed 20%
+  const cases = [
+    [
+      "the lowest rating",
+      { averageRating: 1, ratings: 3, deliveries: 10, averageMinutes: 60 },
+      50,
+    ],
+    [
+      "one problem in four",
+      {
+        averageRating: 5,
+        ratings: 3,
+        deliveries: 3,
+        failedAttempts: 1,
+        averageMinutes: 60,
+      },
+      93,
+    ],
+    [
+      "deliveries taking twice the target",
+      { averageRating: 5, ratings: 3, deliveries: 10, averageMinutes: 2880 },
+      90,
+    ],
+    [
+      "deliveries but no ratings yet",
+      { deliveries: 5, averageMinutes: 60 },
+      85,
+    ],
+    ["only cancellations", { cancellations: 2 }, 55],
+  ];
+
+  cases.forEach(([name, stats, score]) => {
+    it(`scores ${name} at ${score}`, () => {
+      assert.equal(computeRiderScore(stats), score);
+    });
+  });
+
+  it("stays between 0 and 100", () => {
+    const worst = computeRiderScore({
+      averageRating: 1,
+      ratings: 1,
+      failedAttempts: 5,
+      averageMinutes: 100000,
+    });
+    assert.ok(worst >= 0 && worst <= 100, String(worst));
+  });
+});
+
+describe("windowStart", () => {
+  it("goes back SCORE_WINDOW_DAYS", () => {
+    const now = new Date("2025-03-31T00:00:00.000Z");
+    assert.equal(
+      now.getTime() - windowStart(now).getTime(),
+      SCORE_WINDOW_DAYS * 24 * 60 * 60 * 1000,
+    );
+  });
+});
+
+describe("cancellationQuery", () => {
+  it("leaves out parcels the customer cancelled", () => {
+    const query = cancellationQuery("rider@example.com", new Date(0));
+    assert.equal(query.riderEmail, "rider@example.com");
+    assert.deepEqual(query.$expr, { $ne: ["$cancelledBy", "$createdBy"] });
+  });
+});
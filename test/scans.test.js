@@ -0,0 +1,67 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  canScan,
+  clampScanTime,
+  buildScanLog,
+  SCAN_ACTIONS,
+} = require("../utils/scans");
+
+describe("scans", () => {
+  it("lets each role scan only its own actions", () => {
+    assert.equal(canScan(SCAN_ACTIONS.PICKUP, "rider"), true);
+    assert.equal(canScan(SCAN_ACTIONS.HUB_IN, "rider"), false);
+    assert.equal(canScan(SCAN_ACTIONS.HUB_OUT, "hub"), true);
+    assert.equal(canScan(SCAN_ACTIONS.OUT_FOR_DELIVERY, "hub"), false);
+    assert.equal(canScan(SCAN_ACTIONS.HUB_IN, "admin"), true);
+    assert.equal(canScan(SCAN_ACTIONS.PICKUP, "user"), false);
+    assert.equal(canScan("teleport", "admin"), false);
+  });
+
+  it("logs who scanned what, from which device", () => {
+    const scannedAt = new Date("2025-03-19T08:00:00Z");
+    const log = buildScanLog(
+      { trackingId: "MX250319-AAAAAA", success: false, message: "Not found" },
+      {
+        action: SCAN_ACTIONS.HUB_IN,
+        actor: { email: "hub@example.com", role: "hub" },
+        deviceId: "scanner-1",
+        scannedAt,
+        hubId: "64f000000000000000000001",
+      },
+    );
+
+    assert.equal(log.trackingId, "MX250319-AAAAAA");
+    assert.equal(log.success, false);
+    assert.equal(log.status, null);
+    assert.equal(log.message, "Not found");
+    assert.equal(log.scannedBy, "hub@example.com");
+    assert.equal(log.hubId, "64f000000000000000000001");
+    assert.equal(log.deviceId, "scanner-1");
+    assert.deepEqual(log.scannedAt, scannedAt);
+    assert.ok(log.receivedAt instanceof Date);
+  });
+
+  it("keeps the device's scan time between parcel creation and receipt", () => {
+    const createdAt = "2025-03-19T07:00:00.000Z";
+    const receivedAt = new Date("2025-03-19T09:00:00.000Z");
+    const at = (iso) => clampScanTime(new Date(iso), createdAt, receivedAt);
+
+    assert.deepEqual(
+      at("2025-03-19T08:00:00.000Z"),
+      new Date("2025-03-19T08:00:00.000Z"),
+    );
+    assert.deepEqual(at("2025-03-20T08:00:00.000Z"), receivedAt);
+    assert.deepEqual(at("2025-03-18T08:00:00.000Z"), new Date(createdAt));
+  });
+
+  it("uses the receipt time without a device time or parcel", () => {
+    const receivedAt = new Date("2025-03-19T09:00:00.000Z");
+    assert.equal(clampScanTime(undefined, null, receivedAt), receivedAt);
+    assert.deepEqual(
+      clampScanTime(new Date("2024-01-01T00:00:00.000Z"), null, receivedAt),
+      new Date("2024-01-01T00:00:00.000Z"),
+    );
+  });
+});
@@ -0,0 +1,221 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const stripe = require("stripe")("sk_test_placeholder");
+
+const { createStripeEventHandlers } = require("../utils/stripeEvents");
+
+const SECRET = "whsec_test";
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, expected]) => {
+    if (expected?.$in) return expected.$in.includes(doc[field] ?? null);
+    if (expected?.$ne !== undefined) return doc[field] !== expected.$ne;
+    return String(doc[field]) === String(expected);
+  });
+
+const applyUpdate = (doc, update, inserting) => {
+  Object.assign(doc, update.$set);
+  if (inserting) Object.assign(doc, update.$setOnInsert);
+  Object.entries(update.$min || {}).forEach(([field, value]) => {
+    if (doc[field] === undefined || value < doc[field]) doc[field] = value;
+  });
+};
+
+// findOne, updateOne and findOneAndUpdate over an array, enough for the
+// filters and operators the handlers send
+const fakeCollection = (docs = []) => {
+  const upsertOne = (filter, update, { upsert } = {}) => {
+    let doc = docs.find((candidate) => matches(candidate, filter));
+    const inserting = !doc && upsert;
+    if (inserting) {
+      doc = { _id: new ObjectId(), ...filter };
+      docs.push(doc);
+    }
+    if (doc) applyUpdate(doc, update, inserting);
+    return { doc, matched: doc && !inserting };
+  };
+
+  return {
+    docs,
+    findOne: async (filter) => docs.find((doc) => matches(doc, filter)) || null,
+    updateOne: async (...args) => ({
+      matchedCount: upsertOne(...args).matched ? 1 : 0,
+    }),
+    findOneAndUpdate: async (...args) => upsertOne(...args).doc || null,
+  };
+};
+
+// Signs the event the way Stripe does and parses it back, as the webhook does
+const deliver = async (handlers, payload) => {
+  const header = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: SECRET,
+  });
+  const event = stripe.webhooks.constructEvent(payload, header, SECRET);
+  return handlers[event.type](event.data.object);
+};
+
+const eventPayload = (type, object) =>
+  JSON.stringify({
+    id: `evt_${new ObjectId()}`,
+    object: "event",
+    type,
+    data: { object },
+  });
+
+describe("Stripe event handlers", () => {
+  let parcels;
+  let payments;
+  let parcel;
+  let handlers;
+  let refunded;
+
+  const paymentIntent = () => ({
+    id: "pi_test",
+    object: "payment_intent",
+    amount: 12000,
+    currency: "bdt",
+    metadata: { parcelId: parcel._id.toString() },
+  });
+
+  beforeEach(() => {
+    parcel = {
+      _id: new ObjectId(),
+      createdBy: "merchant@example.com",
+      paymentStatus: "unpaid",
+    };
+    parcels = fakeCollection([parcel]);
+    payments = fakeCollection();
+    refunded = [];
+    ({ stripeEventHandlers: handlers } = createStripeEventHandlers({
+      paymentCollection: payments,
+      parcelCollection: parcels,
+      payoutCollection: fakeCollection(),
+      applyPayoutOutcome: async () => {},
+      refundCancelledPayment: async (payment) => refunded.push(payment),
+    }));
+  });
+
+  it("marks the parcel paid on payment_intent.succeeded", async () => {
+    const handled = await deliver(
+      handlers,
+      eventPayload("payment_intent.succeeded", paymentIntent()),
+    );
+
+    assert.equal(handled, true);
+    assert.equal(parcel.paymentStatus, "paid");
+    assert.equal(payments.docs.length, 1);
+    assert.equal(payments.docs[0].amount, 120);
+  });
+
+  it("marks legacy parcels without a paymentStatus paid", async () => {
+    delete parcel.paymentStatus;
+
+    await deliver(
+      handlers,
+      eventPayload("payment_intent.succeeded", paymentIntent()),
+    );
+
+    assert.equal(parcel.paymentStatus, "paid");
+  });
+
+  it("keeps a refunded parcel refunded when the succeeded event is replayed", async () => {
+    const succeeded = eventPayload("payment_intent.succeeded", paymentIntent());
+    await deliver(handlers, succeeded);
+    const { paidAt } = payments.docs[0];
+
+    await deliver(
+      handlers,
+      eventPayload("charge.refunded", {
+        id: "ch_test",
+        object: "charge",
+        payment_intent: "pi_test",
+        amount: 12000,
+        amount_refunded: 12000,
+      }),
+    );
+    assert.equal(parcel.paymentStatus, "refunded");
+
+    await deliver(handlers, succeeded);
+
+    assert.equal(parcel.paymentStatus, "refunded");
+    assert.equal(payments.docs.length, 1);
+    assert.equal(payments.docs[0].refundStatus, "refunded");
+    assert.equal(payments.docs[0].paidAt, paidAt);
+  });
+
+  it("does not let a late failure undo a success", async () => {
+    await deliver(
+      handlers,
+      eventPayload("payment_intent.succeeded", paymentIntent()),
+    );
+    await deliver(
+      handlers,
+      eventPayload("payment_intent.payment_failed", paymentIntent()),
+    );
+
+    assert.equal(parcel.paymentStatus, "paid");
+    assert.equal(payments.docs[0].status, "succeeded");
+  });
+
+  it("refunds a payment that lands after the parcel was cancelled", async () => {
+    parcel.deliveryStatus = "Cancelled";
+
+    await deliver(
+      handlers,
+      eventPayload("payment_intent.succeeded", paymentIntent()),
+    );
+
+    assert.equal(refunded.length, 1);
+    assert.equal(refunded[0].transactionId, "pi_test");
+  });
+
+  it("refunds when the parcel is cancelled after the handler read it", async () => {
+    const findOne = parcels.findOne;
+    parcels.findOne = async (filter) => {
+      const snapshot = { ...(await findOne(filter)) };
+      parcel.deliveryStatus = "Cancelled";
+      return snapshot;
+    };
+
+    await deliver(
+      handlers,
+      eventPayload("payment_intent.succeeded", paymentIntent()),
+    );
+
+    assert.equal(refunded.length, 1);
+  });
+
+  it("does not refund again when a cancelled parcel's payment is replayed", async () => {
+    parcel.deliveryStatus = "Cancelled";
+    const succeeded = eventPayload("payment_intent.succeeded", paymentIntent());
+
+    await deliver(handlers, succeeded);
+    parcel.paymentStatus = "refunded";
+    await deliver(handlers, succeeded);
+
+    assert.equal(refunded.length, 1);
+  });
+
+  it("leaves parcels that were paid before they were cancelled to cancelParcel", async () => {
+    parcel.deliveryStatus = "Cancelled";
+    parcel.paymentStatus = "paid";
+
+    await deliver(
+      handlers,
+      eventPayload("payment_intent.succeeded", paymentIntent()),
+    );
+
+    assert.equal(refunded.length, 0);
+  });
+
+  it("leaves payments for open parcels alone", async () => {
+    await deliver(
+      handlers,
+      eventPayload("payment_intent.succeeded", paymentIntent()),
+    );
+
+    assert.equal(refunded.length, 0);
+  });
+});
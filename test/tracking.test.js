@@ -0,0 +1,114 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  generateTrackingId,
+  trackingIdQuery,
+  duplicateTrackingIdsPipeline,
+  toPublicTimeline,
+} = require("../utils/tracking");
+
+describe("generateTrackingId", () => {
+  it("dates the ID and avoids characters that read alike", () => {
+    const now = new Date("2025-03-19T08:00:00.000Z");
+    for (let i = 0; i < 200; i += 1) {
+      assert.match(generateTrackingId(now), /^MX250319-[2-9A-HJKMNP-Z]{6}$/);
+    }
+  });
+
+  it("does not repeat itself", () => {
+    const ids = new Set(
+      Array.from({ length: 1000 }, () => generateTrackingId()),
+    );
+    assert.equal(ids.size, 1000);
+  });
+});
+
+describe("trackingIdQuery", () => {
+  it("matches a generated ID typed in lowercase and with spaces", () => {
+    assert.deepEqual(trackingIdQuery(" mx250319-7k4q9d "), {
+      trackingId: { $in: ["mx250319-7k4q9d", "MX250319-7K4Q9D"] },
+    });
+  });
+
+  it("matches an uppercase ID once", () => {
+    assert.deepEqual(trackingIdQuery("MX250319-7K4Q9D"), {
+      trackingId: { $in: ["MX250319-7K4Q9D"] },
+    });
+  });
+});
+
+describe("duplicateTrackingIdsPipeline", () => {
+  it("lists repeated IDs with the oldest parcel first", () => {
+    const pipeline = duplicateTrackingIdsPipeline();
+    assert.deepEqual(pipeline[1], { $sort: { _id: 1 } });
+    assert.deepEqual(pipeline.at(-1), { $match: { count: { $gt: 1 } } });
+  });
+});
+
+describe("toPublicTimeline", () => {
+  const parcel = {
+    _id: "p1",
+    trackingId: "MX250319-7K4Q9D",
+    deliveryStatus: "In transit",
+    senderDistrict: "Dhaka",
+    receiverDistrict: "Khulna",
+    creationDate: "2025-03-19T08:00:00.000Z",
+    senderName: "Rahim",
+    senderPhone: "01700000000",
+    receiverAddress: "Road 3, Sonadanga",
+    createdBy: "rahim@example.com",
+    riderEmail: "rider@example.com",
+    codAmount: 1500,
+  };
+
+  const events = [
+    {
+      _id: "e1",
+      status: "In transit",
+      message: "Picked up by rider@example.com - call +880 1712-345678",
+      location: "Mirpur",
+      updatedBy: "rider@example.com",
+      timestamp: "2025-03-19T09:00:00.000Z",
+    },
+    {
+      _id: "e2",
+      status: "At hub",
+      message: "Received at Khulna hub",
+      timestamp: "2025-03-20T09:00:00.000Z",
+    },
+  ];
+
+  const timeline = toPublicTimeline(parcel, events);
+
+  it("keeps only the public parcel fields", () => {
+    assert.deepEqual(Object.keys(timeline).sort(), [
+      "createdAt",
+      "deliveredAt",
+      "deliveryStatus",
+      "events",
+      "receiverDistrict",
+      "senderDistrict",
+      "trackingId",
+    ]);
+    assert.equal(timeline.deliveredAt, null);
+  });
+
+  it("hides emails and phone numbers in event messages", () => {
+    assert.equal(
+      timeline.events[0].message,
+      "Picked up by [hidden] - call [hidden]",
+    );
+    assert.equal(timeline.events[1].message, "Received at Khulna hub");
+  });
+
+  it("leaves out who updated an event", () => {
+    assert.deepEqual(timeline.events[0], {
+      status: "In transit",
+      message: "Picked up by [hidden] - call [hidden]",
+      location: "Mirpur",
+      timestamp: "2025-03-19T09:00:00.000Z",
+    });
+    assert.equal(timeline.events[1].location, null);
+  });
+});
@@ -0,0 +1,182 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+
+const { validate, validateSchema } = require("../utils/validation");
+const schemas = require("../utils/schemas");
+
+const parcel = (fields = {}) => ({
+  type: "non-document",
+  title: "Books",
+  weight: "2",
+  senderName: "Rahim",
+  senderPhone: "01700000000",
+  senderDistrict: "Dhaka",
+  senderAddress: "House 7, Mirpur 10",
+  receiverName: "Karim",
+  receiverPhone: "01800000000",
+  receiverDistrict: "Khulna",
+  receiverAddress: "Road 3, Sonadanga",
+  ...fields,
+});
+
+// Runs the middleware on a fake request, { status, body } when it answers
+const run = (middleware, req) => {
+  let sent = null;
+  let passed = false;
+  const res = {
+    status(code) {
+      sent = { status: code };
+      return this;
+    },
+    send(body) {
+      sent.body = body;
+      return this;
+    },
+  };
+  middleware(req, res, () => {
+    passed = true;
+  });
+  return { passed, sent };
+};
+
+const fields = (errors) => errors.map(({ field }) => field);
+
+describe("parcelCreate", () => {
+  it("strips fields the schema does not declare", () => {
+    const { value, errors } = validateSchema(
+      schemas.parcelCreate,
+      parcel({
+        paymentStatus: "paid",
+        deliveryStatus: "Delivery Completed",
+        deliveryCharge: 0,
+        createdBy: "someone@example.com",
+        riderEmail: "rider@example.com",
+      }),
+      "body",
+    );
+
+    assert.deepEqual(errors, []);
+    [
+      "paymentStatus",
+      "deliveryStatus",
+      "deliveryCharge",
+      "createdBy",
+      "riderEmail",
+    ].forEach((field) => assert.equal(field in value, false, field));
+    assert.equal(value.title, "Books");
+  });
+
+  it("converts and trims what it keeps", () => {
+    const { value } = validateSchema(
+      schemas.parcelCreate,
+      parcel({ title: "  Books  ", codAmount: "1500" }),
+      "body",
+    );
+    assert.equal(value.title, "Books");
+    assert.equal(value.weight, 2);
+    assert.equal(value.codAmount, 1500);
+  });
+
+  it("rejects values of the wrong type", () => {
+    const { errors } = validateSchema(
+      schemas.parcelCreate,
+      parcel({
+        title: { $gt: "" },
+        weight: "heavy",
+        senderPhone: "call me",
+        receiverLat: 120,
+      }),
+      "body",
+    );
+    assert.deepEqual(fields(errors), [
+      "body.title",
+      "body.weight",
+      "body.senderPhone",
+      "body.receiverLat",
+    ]);
+  });
+
+  it("reports missing required fields", () => {
+    const { errors } = validateSchema(
+      schemas.parcelCreate,
+      parcel({ title: "", receiverPhone: undefined }),
+      "body",
+    );
+    assert.deepEqual(fields(errors), ["body.title", "body.receiverPhone"]);
+  });
+
+  it("only takes the real parcel types, however they are spelled", () => {
+    ["Non Document", "non_document", " DOCUMENT "].forEach((type) =>
+      assert.deepEqual(
+        validateSchema(schemas.parcelCreate, parcel({ type }), "body").errors,
+        [],
+        type,
+      ),
+    );
+    assert.equal(
+      validateSchema(schemas.parcelCreate, parcel({ type: "Document" }), "body")
+        .value.type,
+      "document",
+    );
+
+    const { errors } = validateSchema(
+      schemas.parcelCreate,
+      parcel({ type: "furniture" }),
+      "body",
+    );
+    assert.deepEqual(fields(errors), ["body.type"]);
+  });
+});
+
+describe("validate", () => {
+  it("replaces the body with the validated one", () => {
+    const req = { body: parcel({ paymentStatus: "paid" }) };
+    const { passed } = run(validate({ body: schemas.parcelCreate }), req);
+
+    assert.equal(passed, true);
+    assert.equal("paymentStatus" in req.body, false);
+  });
+
+  it("answers 400 with every error", () => {
+    const req = { body: parcel({ title: "", weight: -1 }) };
+    const { passed, sent } = run(validate({ body: schemas.parcelCreate }), req);
+
+    assert.equal(passed, false);
+    assert.equal(sent.status, 400);
+    assert.equal(sent.body.message, "Validation failed");
+    assert.deepEqual(fields(sent.body.errors), ["body.title", "body.weight"]);
+  });
+
+  it("lowercases and trims emails", () => {
+    const req = { body: { email: "  Rahim@Example.COM " } };
+    run(validate({ body: schemas.userCreate }), req);
+    assert.equal(req.body.email, "rahim@example.com");
+  });
+
+  it("shadows req.query, which is a getter in Express 5", () => {
+    const req = {};
+    Object.defineProperty(req, "query", {
+      get: () => ({ email: "Rahim@Example.com", role: "admin" }),
+      configurable: true,
+    });
+
+    const { passed } = run(validate({ query: schemas.userRoleQuery }), req);
+
+    assert.equal(passed, true);
+    assert.deepEqual(req.query, { email: "rahim@example.com" });
+  });
+
+  it("checks route params and keeps the ones it does not declare", () => {
+    const id = new ObjectId().toString();
+    const req = { params: { id, kind: "photo" } };
+    assert.equal(run(validate({ params: schemas.idParams }), req).passed, true);
+    assert.deepEqual(req.params, { id, kind: "photo" });
+
+    const { passed, sent } = run(validate({ params: schemas.idParams }), {
+      params: { id: "not-an-id" },
+    });
+    assert.equal(passed, false);
+    assert.deepEqual(fields(sent.body.errors), ["params.id"]);
+  });
+});
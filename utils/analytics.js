@@ -0,0 +1,274 @@
+// Aggregation pipelines behind the admin dashboard. Every report takes the
+// same filters: from/to (dates) and district (sender or receiver side).
+
+const { dateRange } = require("./pagination");
+const { COMPLETED_STATUSES } = require("./parcelLifecycle");
+const { districtQuery, canonicalDistrictExpr } = require("./coverage");
+
+// read per report, not at load, so ANALYTICS_TIMEZONE from .env applies
+const timezone = () => process.env.ANALYTICS_TIMEZONE || "Asia/Dhaka";
+
+const districtMatch = (district, prefix = "") =>
+  district
+    ? {
+        $or: [
+          { [`${prefix}senderDistrict`]: districtQuery(district) },
+          { [`${prefix}receiverDistrict`]: districtQuery(district) },
+        ],
+      }
+    : {};
+
+// parcel timestamps are stored as ISO strings
+const parcelMatch = ({ from, to, district }, dateField = "creationDate") => ({
+  ...dateRange(dateField, from, to),
+  ...districtMatch(district),
+});
+
+const toDate = (field) => ({ $dateFromString: { dateString: `$${field}` } });
+
+const minutesBetween = (start, end) => ({
+  $divide: [{ $subtract: [toDate(end), toDate(start)] }, 60 * 1000],
+});
+
+// The delivering rider's leg starts at the hub hand-off for parcels that
+// went through a hub, else at pickup
+const riderLegMinutes = {
+  $divide: [
+    {
+      $subtract: [
+        toDate("deliveredAt"),
+        {
+          $dateFromString: {
+            dateString: { $ifNull: ["$outForDeliveryAt", "$pickedAt"] },
+          },
+        },
+      ],
+    },
+    60 * 1000,
+  ],
+};
+
+const statusCountsPipeline = (filters) => [
+  { $match: parcelMatch(filters) },
+  { $group: { _id: "$deliveryStatus", count: { $sum: 1 } } },
+  { $project: { _id: 0, status: "$_id", count: 1 } },
+  { $sort: { count: -1 } },
+];
+
+// Succeeded payments per day, net of refunds
+const dailyRevenuePipeline = ({ from, to, district }) => [
+  {
+    $match: {
+      status: "succeeded",
+      ...dateRange("paidAt", from, to, { asDate: true }),
+    },
+  },
+  ...(district
+    ? [
+        {
+          $lookup: {
+            from: "parcels",
+            localField: "parcelId",
+            foreignField: "_id",
+            as: "parcel",
+          },
+        },
+        { $match: districtMatch(district, "parcel.") },
+      ]
+    : []),
+  {
+    $group: {
+      _id: {
+        $dateToString: {
+          format: "%Y-%m-%d",
+          date: "$paidAt",
+          timezone: timezone(),
+        },
+      },
+      payments: { $sum: 1 },
+      gross: { $sum: "$amount" },
+      refunded: { $sum: { $ifNull: ["$refundedAmount", 0] } },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      date: "$_id",
+      payments: 1,
+      gross: { $round: ["$gross", 2] },
+      refunded: { $round: ["$refunded", 2] },
+      net: { $round: [{ $subtract: ["$gross", "$refunded"] }, 2] },
+    },
+  },
+  { $sort: { date: 1 } },
+];
+
+// Older parcels may spell a district differently ("Chittagong", "dhaka"),
+// reports group and compare the canonical names
+const canonicalDistricts = {
+  $addFields: {
+    senderDistrict: canonicalDistrictExpr("$senderDistrict"),
+    receiverDistrict: canonicalDistrictExpr("$receiverDistrict"),
+  },
+};
+
+const districtVolumePipeline = (filters, limit) => [
+  { $match: parcelMatch(filters) },
+  canonicalDistricts,
+  {
+    $group: {
+      _id: { from: "$senderDistrict", to: "$receiverDistrict" },
+      parcels: { $sum: 1 },
+      deliveryCharges: { $sum: "$deliveryCharge" },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      senderDistrict: "$_id.from",
+      receiverDistrict: "$_id.to",
+      parcels: 1,
+      deliveryCharges: 1,
+    },
+  },
+  { $sort: { parcels: -1 } },
+  { $limit: limit },
+];
+
+// parcelMatch may already hold an $or for the district
+const deliveredMatch = (filters) => ({
+  ...parcelMatch(filters, "deliveredAt"),
+  deliveryStatus: { $in: COMPLETED_STATUSES },
+  deliveredAt: { $exists: true },
+  $and: [
+    {
+      $or: [
+        { outForDeliveryAt: { $exists: true } },
+        { pickedAt: { $exists: true } },
+      ],
+    },
+  ],
+});
+
+// Pickup to delivery, in minutes, overall and within vs between districts.
+// This is the customer's wait, so it spans hub legs as well.
+const deliveryTimePipeline = (filters) => [
+  { $match: { ...deliveredMatch(filters), pickedAt: { $exists: true } } },
+  canonicalDistricts,
+  {
+    $project: {
+      minutes: minutesBetween("pickedAt", "deliveredAt"),
+      scope: {
+        $cond: [
+          { $eq: ["$senderDistrict", "$receiverDistrict"] },
+          "within",
+          "between",
+        ],
+      },
+    },
+  },
+  {
+    $facet: {
+      overall: [
+        {
+          $group: {
+            _id: null,
+            parcels: { $sum: 1 },
+            averageMinutes: { $avg: "$minutes" },
+            fastestMinutes: { $min: "$minutes" },
+            slowestMinutes: { $max: "$minutes" },
+          },
+        },
+        { $project: { _id: 0 } },
+      ],
+      byScope: [
+        {
+          $group: {
+            _id: "$scope",
+            parcels: { $sum: 1 },
+            averageMinutes: { $avg: "$minutes" },
+          },
+        },
+        { $project: { _id: 0, scope: "$_id", parcels: 1, averageMinutes: 1 } },
+      ],
+    },
+  },
+];
+
+const riderLeaderboardPipeline = (filters, limit) => [
+  { $match: { ...deliveredMatch(filters), riderEmail: { $exists: true } } },
+  {
+    $lookup: {
+      from: "riderLedger",
+      localField: "_id",
+      foreignField: "parcelId",
+      // the delivering rider's earning, not those for legs to a hub
+      pipeline: [{ $match: { leg: null } }],
+      as: "earning",
+    },
+  },
+  {
+    $group: {
+      _id: "$riderEmail",
+      riderName: { $first: "$riderName" },
+      deliveries: { $sum: 1 },
+      averageMinutes: { $avg: riderLegMinutes },
+      earnings: { $sum: { $sum: "$earning.amount" } },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      riderEmail: "$_id",
+      riderName: 1,
+      deliveries: 1,
+      averageMinutes: { $round: ["$averageMinutes", 1] },
+      earnings: { $round: ["$earnings", 2] },
+    },
+  },
+  { $sort: { deliveries: -1, averageMinutes: 1 } },
+  { $limit: limit },
+];
+
+// district is the rider's home district
+const cashoutTotalsPipeline = ({ from, to, district }) => [
+  { $match: dateRange("requestDate", from, to, { asDate: true }) },
+  ...(district
+    ? [
+        {
+          $lookup: {
+            from: "riders",
+            localField: "riderEmail",
+            foreignField: "email",
+            as: "rider",
+          },
+        },
+        { $match: { "rider.district": districtQuery(district) } },
+      ]
+    : []),
+  {
+    $group: {
+      _id: "$status",
+      cashouts: { $sum: 1 },
+      amount: { $sum: "$amount" },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      status: "$_id",
+      cashouts: 1,
+      amount: { $round: ["$amount", 2] },
+    },
+  },
+  { $sort: { amount: -1 } },
+];
+
+module.exports = {
+  statusCountsPipeline,
+  dailyRevenuePipeline,
+  districtVolumePipeline,
+  deliveryTimePipeline,
+  riderLeaderboardPipeline,
+  cashoutTotalsPipeline,
+};
@@ -0,0 +1,62 @@
+// Audit trail of privileged actions. The API only inserts entries, no route
+// updates or deletes them. The database does not stop anyone else with
+// write access to auditLog from doing so; the trail is only as trustworthy
+// as the database credentials.
+
+const AUDIT_ACTIONS = {
+  USER_MAKE_ADMIN: "user.make_admin",
+  USER_REVOKE_ADMIN: "user.revoke_admin",
+  RIDER_APPROVE: "rider.approve",
+  RIDER_REJECT: "rider.reject",
+  RIDER_DEACTIVATE: "rider.deactivate",
+  RIDER_DELETE: "rider.delete",
+  PARCEL_ASSIGN: "parcel.assign",
+  CASHOUT_PAYOUT: "cashout.payout",
+  CASHOUT_REJECT: "cashout.reject",
+  CASHOUT_RETRY_PAYOUT: "cashout.retry_payout",
+  HUB_ASSIGN_STAFF: "hub.assign_staff",
+};
+
+const AUDIT_TARGETS = ["user", "rider", "parcel", "cashout"];
+
+// Top-level fields that differ between the two snapshots
+const changedFields = (before, after) => {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  return [...fields].filter(
+    (field) =>
+      field !== "_id" &&
+      JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]),
+  );
+};
+
+const buildAuditEntry = ({
+  action,
+  actor,
+  targetType,
+  targetId,
+  before = null,
+  after = null,
+  metadata = {},
+}) => ({
+  action,
+  actorEmail: actor.email,
+  actorRole: actor.role,
+  actorIp: actor.ip || null,
+  targetType,
+  targetId: targetId.toString(),
+  before,
+  after,
+  changes: changedFields(before, after),
+  metadata,
+  at: new Date(),
+});
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_TARGETS,
+  changedFields,
+  buildAuditEntry,
+};
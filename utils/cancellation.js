@@ -0,0 +1,27 @@
+// How much of the payment is refunded when a parcel is cancelled, based on
+// the lifecycle stage it was cancelled from.
+
+const { PARCEL_STATUS } = require("./parcelLifecycle");
+
+const REFUND_RATES = {
+  [PARCEL_STATUS.NOT_COLLECTED]: 1,
+  [PARCEL_STATUS.RIDER_ASSIGNED]: 0.8, // rider already dispatched
+  [PARCEL_STATUS.IN_TRANSIT]: 0.5, // admin only, parcel has to come back
+  [PARCEL_STATUS.AT_HUB]: 0.5,
+};
+
+const calculateRefund = (fromStatus, paidAmount) => {
+  const rate = REFUND_RATES[fromStatus] ?? 0;
+  const amount = Math.round(paidAmount * rate * 100) / 100;
+
+  return {
+    rate,
+    amount,
+    type: rate >= 1 ? "full" : "partial",
+  };
+};
+
+module.exports = {
+  REFUND_RATES,
+  calculateRefund,
+};
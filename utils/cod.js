@@ -0,0 +1,103 @@
+// Cash on delivery. A COD parcel moves through:
+//   pending    rider has not collected yet
+//   collected  rider confirmed the cash, now holds it
+//   deposited  rider handed the cash in at the office
+//   settled    included in a settlement batch for the sender
+// Delivery charges that were not prepaid are taken out of the COD cash.
+
+const { roundMoney } = require("./ledger");
+
+const COD_STATUS = {
+  PENDING: "pending",
+  COLLECTED: "collected",
+  DEPOSITED: "deposited",
+  SETTLED: "settled",
+};
+
+const SETTLEMENT_STATUS = { PENDING: "pending", PAID: "paid" };
+
+const MAX_COD_AMOUNT = 500000;
+
+// share of the collected cash kept as the COD handling fee, read on use so
+// the value from .env applies whenever the module was loaded
+const codFeeRate = () => Number(process.env.COD_FEE_RATE ?? 0.01);
+
+// Parcels that can be picked up: prepaid, or COD with the charge taken out
+// of the cash
+const READY_FOR_PICKUP = {
+  $or: [{ paymentStatus: "paid" }, { codAmount: { $gt: 0 } }],
+};
+
+const calculateCodFee = (amount) => roundMoney(amount * codFeeRate());
+
+// Cash the rider still has to hand in for a collected parcel
+const outstandingCod = (parcel) =>
+  roundMoney(
+    (parcel.codCollectedAmount || 0) - (parcel.codDepositedAmount || 0),
+  );
+
+// Spreads a deposit over the rider's collected parcels in the order given
+// (oldest first). A line is complete when the parcel's cash is all in; the
+// parcel the money runs out on gets a partial line and stays collected.
+const allocateDeposit = (parcels, amount) => {
+  let left = roundMoney(amount);
+  const lines = [];
+
+  for (const parcel of parcels) {
+    const owed = outstandingCod(parcel);
+    if (owed > 0 && left <= 0) continue;
+
+    const paid = Math.min(owed, left);
+    left = roundMoney(left - paid);
+    lines.push({
+      parcelId: parcel._id,
+      amount: paid,
+      depositedBefore: parcel.codDepositedAmount || 0,
+      complete: paid === owed,
+    });
+  }
+
+  return lines;
+};
+
+// One settlement line per parcel, totals for the batch
+const buildSettlement = (parcels) => {
+  const lines = parcels.map((parcel) => {
+    const collected = parcel.codCollectedAmount || 0;
+    const codFee = calculateCodFee(collected);
+    const deliveryCharge =
+      parcel.paymentStatus === "paid" ? 0 : parcel.deliveryCharge || 0;
+
+    return {
+      parcelId: parcel._id,
+      trackingId: parcel.trackingId,
+      collected,
+      codFee,
+      deliveryCharge,
+      net: roundMoney(collected - codFee - deliveryCharge),
+    };
+  });
+
+  const sum = (field) =>
+    roundMoney(lines.reduce((total, line) => total + line[field], 0));
+
+  return {
+    lines,
+    codTotal: sum("collected"),
+    codFees: sum("codFee"),
+    deliveryCharges: sum("deliveryCharge"),
+    netPayable: sum("net"),
+  };
+};
+
+module.exports = {
+  COD_STATUS,
+  SETTLEMENT_STATUS,
+  MAX_COD_AMOUNT,
+  codFeeRate,
+  READY_FOR_PICKUP,
+  calculateCodFee,
+  outstandingCod,
+  allocateDeposit,
+  buildSettlement,
+};
@@ -0,0 +1,109 @@
+// Rider commission rules. Admins manage rules in the commissionRules
+// collection; the most specific rule in effect at delivery time decides the
+// rider's share of the delivery charge. The defaults below reproduce the old
+// fixed split (80% within a district, 30% between districts).
+
+const { normalizeType } = require("./pricing");
+const { sameDistrict } = require("./coverage");
+
+const RIDER_TIERS = ["standard", "silver", "gold"];
+const DEFAULT_TIER = "standard";
+
+const DEFAULT_RULES = [
+  {
+    _id: "default-within",
+    name: "Within district (default)",
+    scope: "within",
+    rate: 0.8,
+    effectiveFrom: new Date(0),
+  },
+  {
+    _id: "default-between",
+    name: "Between districts (default)",
+    scope: "between",
+    rate: 0.3,
+    effectiveFrom: new Date(0),
+  },
+];
+
+const isInEffect = (rule, at) =>
+  new Date(rule.effectiveFrom) <= at &&
+  (!rule.effectiveTo || new Date(rule.effectiveTo) > at);
+
+const ruleMatches = (rule, context) => {
+  if (!isInEffect(rule, context.at)) return false;
+  if (rule.scope === "within" && !context.withinDistrict) return false;
+  if (rule.scope === "between" && context.withinDistrict) return false;
+  if (
+    rule.senderDistrict &&
+    !sameDistrict(rule.senderDistrict, context.senderDistrict)
+  )
+    return false;
+  if (
+    rule.receiverDistrict &&
+    !sameDistrict(rule.receiverDistrict, context.receiverDistrict)
+  )
+    return false;
+  if (rule.parcelType && rule.parcelType !== context.parcelType) return false;
+  if (rule.riderTier && rule.riderTier !== context.riderTier) return false;
+  return true;
+};
+
+const specificity = (rule) =>
+  [
+    "scope",
+    "senderDistrict",
+    "receiverDistrict",
+    "parcelType",
+    "riderTier",
+  ].filter((field) => rule[field]).length;
+
+// Most specific matching rule, the newest one wins a tie
+const selectCommissionRule = (rules, context) =>
+  [...rules, ...DEFAULT_RULES]
+    .filter((rule) => ruleMatches(rule, context))
+    .sort(
+      (a, b) =>
+        specificity(b) - specificity(a) ||
+        new Date(b.effectiveFrom) - new Date(a.effectiveFrom),
+    )[0] || null;
+
+const commissionContext = (parcel, rider) => ({
+  senderDistrict: parcel.senderDistrict,
+  receiverDistrict: parcel.receiverDistrict,
+  withinDistrict: sameDistrict(parcel.senderDistrict, parcel.receiverDistrict),
+  parcelType: normalizeType(parcel.type),
+  riderTier: rider?.tier || DEFAULT_TIER,
+  at: parcel.deliveredAt ? new Date(parcel.deliveredAt) : new Date(),
+});
+
+// Returns { rule, rate, amount } for a completed parcel
+const calculateCommission = (parcel, rider, rules) => {
+  const rule = selectCommissionRule(rules, commissionContext(parcel, rider));
+  const rate = rule?.rate ?? 0;
+
+  return {
+    rule,
+    rate,
+    amount: Math.round((parcel.deliveryCharge || 0) * rate * 100) / 100,
+  };
+};
+
+// A parcel routed through hubs is carried by more than one rider, but it pays
+// one commission. Each rider who hands it to a hub earns half of what is not
+// yet paid out and the delivering rider earns the rest.
+const legEarning = (commission, alreadyCredited, finalLeg) => {
+  const left = Math.max(0, commission - alreadyCredited);
+  return finalLeg ? Math.round(left * 100) / 100 : Math.round(left * 50) / 100;
+};
+
+module.exports = {
+  RIDER_TIERS,
+  DEFAULT_TIER,
+  DEFAULT_RULES,
+  isInEffect,
+  selectCommissionRule,
+  commissionContext,
+  calculateCommission,
+  legEarning,
+};
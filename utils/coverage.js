@@ -0,0 +1,231 @@
+// Canonical divisions and districts, and the geo helpers behind hub and
+// rider lookups. Names go through normalizeName, so spelling variants
+// ("Chittagong", " chattogram", "Munshigonj") resolve to one district.
+// Which sub-areas we serve is kept in the serviceAreas collection, see
+// checkCoverage.
+
+const DIVISIONS = {
+  Dhaka: [
+    "Dhaka",
+    "Faridpur",
+    "Gazipur",
+    "Gopalganj",
+    "Kishoreganj",
+    "Madaripur",
+    "Manikganj",
+    "Munshiganj",
+    "Narayanganj",
+    "Narsingdi",
+    "Rajbari",
+    "Shariatpur",
+    "Tangail",
+  ],
+  Chattogram: [
+    "Bandarban",
+    "Brahmanbaria",
+    "Chandpur",
+    "Chattogram",
+    "Cumilla",
+    "Cox's Bazar",
+    "Feni",
+    "Khagrachhari",
+    "Lakshmipur",
+    "Noakhali",
+    "Rangamati",
+  ],
+  Rajshahi: [
+    "Bogura",
+    "Chapainawabganj",
+    "Joypurhat",
+    "Naogaon",
+    "Natore",
+    "Pabna",
+    "Rajshahi",
+    "Sirajganj",
+  ],
+  Khulna: [
+    "Bagerhat",
+    "Chuadanga",
+    "Jashore",
+    "Jhenaidah",
+    "Khulna",
+    "Kushtia",
+    "Magura",
+    "Meherpur",
+    "Narail",
+    "Satkhira",
+  ],
+  Barishal: [
+    "Barguna",
+    "Barishal",
+    "Bhola",
+    "Jhalokati",
+    "Patuakhali",
+    "Pirojpur",
+  ],
+  Sylhet: ["Habiganj", "Moulvibazar", "Sunamganj", "Sylhet"],
+  Rangpur: [
+    "Dinajpur",
+    "Gaibandha",
+    "Kurigram",
+    "Lalmonirhat",
+    "Nilphamari",
+    "Panchagarh",
+    "Rangpur",
+    "Thakurgaon",
+  ],
+  Mymensingh: ["Jamalpur", "Mymensingh", "Netrokona", "Sherpur"],
+};
+
+// old or alternative spellings -> canonical name
+const ALIASES = {
+  Chittagong: "Chattogram",
+  Comilla: "Cumilla",
+  Barisal: "Barishal",
+  Jessore: "Jashore",
+  Bogra: "Bogura",
+  Nawabganj: "Chapainawabganj",
+  Jhalakati: "Jhalokati",
+  Jhalakathi: "Jhalokati",
+  Netrakona: "Netrokona",
+  Maulvibazar: "Moulvibazar",
+  Khagrachari: "Khagrachhari",
+  Laxmipur: "Lakshmipur",
+  Narshingdi: "Narsingdi",
+  Jaipurhat: "Joypurhat",
+  Jhenaidaha: "Jhenaidah",
+};
+
+class CoverageError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = "CoverageError";
+    this.status = status;
+  }
+}
+
+const normalizeName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "")
+    .replace(/gonj$/, "ganj");
+
+const DISTRICTS = new Map();
+Object.entries(DIVISIONS).forEach(([division, districts]) =>
+  districts.forEach((district) =>
+    DISTRICTS.set(normalizeName(district), { district, division }),
+  ),
+);
+Object.entries(ALIASES).forEach(([alias, canonical]) => {
+  const key = normalizeName(canonical);
+  if (DISTRICTS.has(key))
+    DISTRICTS.set(normalizeName(alias), DISTRICTS.get(key));
+});
+
+// { district, division } or null
+const resolveDistrict = (name) => DISTRICTS.get(normalizeName(name)) || null;
+
+const sameDistrict = (a, b) => {
+  const first = resolveDistrict(a);
+  const second = resolveDistrict(b);
+  return first && second
+    ? first.district === second.district
+    : normalizeName(a) === normalizeName(b);
+};
+
+// Aggregation expression for the canonical district of a stored name, what
+// resolveDistrict does in a pipeline. Names we don't know are kept as stored.
+const canonicalDistrictExpr = (field) => {
+  const branches = Object.values(DIVISIONS)
+    .flat()
+    .map((district) => {
+      const keys = [...DISTRICTS]
+        .filter(([, entry]) => entry.district === district)
+        .flatMap(([key]) => [key, key.replace(/ganj$/, "gonj")]);
+      return { case: { $in: ["$$key", [...new Set(keys)]] }, then: district };
+    });
+
+  return {
+    $let: {
+      // normalizeName: lowercase letters only
+      vars: {
+        key: {
+          $reduce: {
+            input: {
+              $regexFindAll: {
+                input: { $toLower: { $ifNull: [field, ""] } },
+                regex: "[a-z]+",
+              },
+            },
+            initialValue: "",
+            in: { $concat: ["$$value", "$$this.match"] },
+          },
+        },
+      },
+      in: {
+        $switch: { branches, default: field },
+      },
+    },
+  };
+};
+
+// Every spelling stored for a district, for matching older documents
+const districtVariants = (district) => [
+  district,
+  ...Object.keys(ALIASES).filter((alias) => ALIASES[alias] === district),
+];
+
+// Filter value for a district query parameter: every stored spelling of
+// the district, or the name as given when it isn't one we know
+const districtQuery = (name) => {
+  const resolved = resolveDistrict(name);
+  return resolved ? { $in: districtVariants(resolved.district) } : name;
+};
+
+// Every district is served as a whole until an admin adds service areas
+// for it; from then on only its active areas are. areas: the district's
+// serviceAreas documents, active or not. Returns { district, division,
+// area? }, throws CoverageError.
+const checkCoverage = (resolved, areas, areaName) => {
+  if (areas.length === 0) return resolved;
+
+  const active = areas.filter((a) => a.active);
+  if (active.length === 0) {
+    throw new CoverageError(`We don't deliver in ${resolved.district} yet`);
+  }
+
+  if (!areaName) return resolved;
+
+  const key = normalizeName(areaName);
+  const area = active.find((a) => a.key === key || a.aliasKeys?.includes(key));
+  if (!area) {
+    throw new CoverageError(
+      `${areaName} is not a covered area of ${resolved.district}`,
+    );
+  }
+  return { ...resolved, area: area.name };
+};
+
+// GeoJSON stores [longitude, latitude]
+const toPoint = (lat, lng) => ({ type: "Point", coordinates: [lng, lat] });
+
+const fromPoint = (point) =>
+  point ? { lat: point.coordinates[1], lng: point.coordinates[0] } : null;
+
+const kmToMeters = (km) => km * 1000;
+
+module.exports = {
+  DIVISIONS,
+  ALIASES,
+  CoverageError,
+  normalizeName,
+  resolveDistrict,
+  sameDistrict,
+  districtVariants,
+  districtQuery,
+  canonicalDistrictExpr,
+  checkCoverage,
+  toPoint,
+  fromPoint,
+  kmToMeters,
+};
@@ -0,0 +1,63 @@
+// Small RFC 4180 CSV reader: quoted fields, "" escapes, CRLF or LF line
+// endings. The first row is the header.
+
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // blank lines
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
+
+// [{ row, values: { header: cell } }], row counts data rows from 1
+const parseCsv = (text) => {
+  const [header = [], ...rows] = parseRows(text.replace(/^\uFEFF/, ""));
+  const columns = header.map((name) => name.trim());
+
+  return {
+    columns,
+    records: rows.map((cells, index) => ({
+      row: index + 1,
+      values: Object.fromEntries(
+        columns.map((column, i) => [column, cells[i] ?? ""]),
+      ),
+    })),
+  };
+};
+
+module.exports = { parseCsv };
@@ -0,0 +1,62 @@
+// Proof of delivery: the receiver's one-time code and the photo/signature
+// images a rider uploads at the door.
+
+const { randomInt, timingSafeEqual } = require("crypto");
+const { LifecycleError } = require("./parcelLifecycle");
+
+const OTP_LENGTH = 6;
+const MAX_OTP_ATTEMPTS = 5;
+
+const PROOF_KINDS = ["photo", "signature"];
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const generateOtp = () =>
+  String(randomInt(10 ** OTP_LENGTH)).padStart(OTP_LENGTH, "0");
+
+const otpMatches = (expected, received) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received || ""));
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+// Checks a receiver's code against the parcel's record in the otp
+// collection. The attempt is claimed before comparing, so parallel guesses
+// cannot get past MAX_OTP_ATTEMPTS. Returns the record, throws
+// LifecycleError.
+const verifyOtp = async (otpCollection, parcelId, otp) => {
+  const record = await otpCollection.findOneAndUpdate(
+    { parcelId, attempts: { $lt: MAX_OTP_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { returnDocument: "after" },
+  );
+  if (!record) {
+    const issued = await otpCollection.countDocuments({ parcelId });
+    if (!issued) {
+      throw new LifecycleError(
+        "No delivery code was issued for this parcel",
+        422,
+      );
+    }
+    throw new LifecycleError(
+      "Too many wrong codes, an admin has to confirm this delivery",
+      423,
+    );
+  }
+
+  if (!otpMatches(record.code, otp)) {
+    throw new LifecycleError("Delivery code is incorrect", 422);
+  }
+  return record;
+};
+
+module.exports = {
+  OTP_LENGTH,
+  MAX_OTP_ATTEMPTS,
+  PROOF_KINDS,
+  IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  generateOtp,
+  otpMatches,
+  verifyOtp,
+};
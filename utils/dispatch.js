@@ -0,0 +1,69 @@
+// Rider selection for auto-dispatch. Pure functions: the caller loads the
+// riders and their open workload, this decides who gets the parcel and why.
+
+const { DEFAULT_SCORE } = require("./riderScore");
+const { sameDistrict } = require("./coverage");
+
+const MAX_OPEN_PARCELS = 10;
+
+const scoreOf = (rider) => rider.performanceScore ?? DEFAULT_SCORE;
+
+// workloads: { [riderEmail]: number of open parcels }. Lowest workload
+// first, the better performance score breaks ties.
+const rankRiders = (parcel, riders, workloads) =>
+  riders
+    .filter(
+      (rider) =>
+        rider.status === "active" &&
+        sameDistrict(rider.district, parcel.senderDistrict),
+    )
+    .map((rider) => ({
+      rider,
+      openParcels: workloads[rider.email] || 0,
+    }))
+    .filter((candidate) => candidate.openParcels < MAX_OPEN_PARCELS)
+    .sort(
+      (a, b) =>
+        a.openParcels - b.openParcels ||
+        scoreOf(b.rider) - scoreOf(a.rider) ||
+        String(a.rider.name).localeCompare(String(b.rider.name)),
+    );
+
+// Returns { rider, reason, candidates }, rider is null when nobody fits
+const pickRider = (parcel, riders, workloads) => {
+  const district = parcel.senderDistrict;
+  const inDistrict = riders.filter(
+    (rider) =>
+      rider.status === "active" && sameDistrict(rider.district, district),
+  );
+  const candidates = rankRiders(parcel, riders, workloads);
+
+  if (!inDistrict.length) {
+    return {
+      rider: null,
+      reason: `No active rider in ${district}`,
+      candidates,
+    };
+  }
+
+  if (!candidates.length) {
+    return {
+      rider: null,
+      reason: `All ${inDistrict.length} active riders in ${district} have ${MAX_OPEN_PARCELS} or more open parcels`,
+      candidates,
+    };
+  }
+
+  const [best] = candidates;
+  return {
+    rider: best.rider,
+    reason: `Active rider in ${district} with the lowest open workload (${best.openParcels} of ${MAX_OPEN_PARCELS}) and performance score ${scoreOf(best.rider)}, ${candidates.length} candidate(s)`,
+    candidates,
+  };
+};
+
+module.exports = {
+  MAX_OPEN_PARCELS,
+  rankRiders,
+  pickRider,
+};
@@ -0,0 +1,229 @@
+// Printable PDFs: shipping labels (A6, or four to an A4 sheet) and payment
+// receipts. PDFKit's built-in fonts only cover Latin text, so amounts are
+// printed as "BDT 120.00" rather than with the taka sign.
+
+const PDFDocument = require("pdfkit");
+const bwipjs = require("bwip-js");
+const { normalizeName } = require("./coverage");
+
+const BRAND = "Mirpur Express";
+
+// A6 in points, an A4 sheet holds 2 x 2 of them
+const LABEL = { width: 297.64, height: 419.53 };
+const SHEET_COLUMNS = 2;
+const LABELS_PER_SHEET = 4;
+const MAX_LABEL_BATCH = 100;
+
+const PADDING = 14;
+
+const formatMoney = (amount, currency = "bdt") =>
+  `${currency.toUpperCase()} ${Number(amount || 0).toFixed(2)}`;
+
+const formatDate = (date) =>
+  date ? new Date(date).toISOString().slice(0, 10) : "";
+
+// The district's hub code when it has a hub, else its first three letters
+const districtCode = (district, hubCode) =>
+  hubCode || normalizeName(district).slice(0, 3).toUpperCase();
+
+// Code 128 barcode and QR code PNGs for a tracking ID, the QR code opens
+// the public tracking page when TRACKING_PAGE_URL is set
+const renderCodes = async (trackingId) => {
+  const trackingPage = process.env.TRACKING_PAGE_URL;
+  const [barcode, qrcode] = await Promise.all([
+    bwipjs.toBuffer({
+      bcid: "code128",
+      text: trackingId,
+      scale: 3,
+      height: 12,
+      includetext: true,
+      textxalign: "center",
+    }),
+    bwipjs.toBuffer({
+      bcid: "qrcode",
+      text: trackingPage ? `${trackingPage}/${trackingId}` : trackingId,
+      scale: 3,
+    }),
+  ]);
+  return { barcode, qrcode };
+};
+
+const addressBlock = (doc, title, lines, x, y, width) => {
+  doc.font("Helvetica-Bold").fontSize(7).text(title, x, y, { width });
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .text(lines.filter(Boolean).join("\n"), x, y + 10, { width });
+  return doc.y;
+};
+
+// label = { parcel, route: { from, to }, codes }, drawn with its top left
+// corner at x, y
+const drawLabel = (doc, { parcel, route, codes }, x, y) => {
+  const left = x + PADDING;
+  const width = LABEL.width - 2 * PADDING;
+  const isCod = parcel.codAmount > 0;
+
+  doc
+    .lineWidth(0.5)
+    .rect(x + 4, y + 4, LABEL.width - 8, LABEL.height - 8)
+    .stroke();
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(11)
+    .text(BRAND, left, y + PADDING);
+  doc.fontSize(20).text(`${route.from} > ${route.to}`, left, y + PADDING - 4, {
+    width,
+    align: "right",
+  });
+
+  doc.image(codes.barcode, left, y + 40, { fit: [width - 74, 56] });
+  doc.image(codes.qrcode, left + width - 64, y + 36, { fit: [64, 64] });
+
+  let cursor = y + 110;
+  cursor = addressBlock(
+    doc,
+    "FROM",
+    [
+      parcel.senderName,
+      parcel.senderPhone,
+      parcel.senderAddress,
+      [parcel.senderArea, parcel.senderDistrict].filter(Boolean).join(", "),
+    ],
+    left,
+    cursor,
+    width,
+  );
+
+  cursor = addressBlock(
+    doc,
+    "TO",
+    [
+      parcel.receiverName,
+      parcel.receiverPhone,
+      parcel.receiverAddress,
+      [parcel.receiverArea, parcel.receiverDistrict].filter(Boolean).join(", "),
+    ],
+    left,
+    cursor + 8,
+    width,
+  );
+
+  doc
+    .font("Helvetica")
+    .fontSize(8)
+    .text(
+      [
+        parcel.title,
+        parcel.type,
+        parcel.weight ? `${parcel.weight} kg` : null,
+        formatDate(parcel.creationDate),
+      ]
+        .filter(Boolean)
+        .join("  |  "),
+      left,
+      cursor + 8,
+      { width },
+    );
+
+  const footer = y + LABEL.height - PADDING - 30;
+  doc.rect(left, footer, width, 26).fill(isCod ? "#000000" : "#ffffff");
+  doc
+    .fillColor(isCod ? "#ffffff" : "#000000")
+    .font("Helvetica-Bold")
+    .fontSize(13)
+    .text(
+      isCod ? `COLLECT ${formatMoney(parcel.codAmount)}` : "PREPAID",
+      left,
+      footer + 7,
+      { width, align: "center" },
+    )
+    .fillColor("#000000");
+};
+
+// One label per A6 page, or four per A4 sheet. Ends the document, pipe it
+// to the response.
+const buildLabelPdf = (labels, { sheet = false } = {}) => {
+  const doc = new PDFDocument({
+    size: sheet ? "A4" : "A6",
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: `${BRAND} shipping labels`, Author: BRAND },
+  });
+
+  labels.forEach((label, index) => {
+    const slot = sheet ? index % LABELS_PER_SHEET : 0;
+    if (slot === 0) doc.addPage();
+    const column = slot % SHEET_COLUMNS;
+    const row = Math.floor(slot / SHEET_COLUMNS);
+    drawLabel(doc, label, column * LABEL.width, row * LABEL.height);
+  });
+
+  doc.end();
+  return doc;
+};
+
+const receiptRow = (doc, label, value, y) => {
+  doc.font("Helvetica").fontSize(10).text(label, 50, y, { width: 180 });
+  doc.font("Helvetica-Bold").text(value, 230, y, { width: 315 });
+};
+
+const buildReceiptPdf = (payment, parcel) => {
+  const doc = new PDFDocument({
+    size: "A5",
+    layout: "landscape",
+    margin: 50,
+    info: { Title: `${BRAND} receipt ${payment._id}`, Author: BRAND },
+  });
+  const refunded = payment.refundedAmount || 0;
+
+  doc.font("Helvetica-Bold").fontSize(18).text(BRAND, 50, 40);
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .text("Payment receipt", 50, 64)
+    .text(`Receipt no. ${payment._id}`, 50, 40, { align: "right" })
+    .text(formatDate(payment.paidAt), 50, 54, { align: "right" });
+
+  doc.moveTo(50, 90).lineTo(545, 90).stroke();
+
+  const rows = [
+    ["Paid by", payment.paidBy],
+    ["Transaction", payment.transactionId],
+    ["Tracking ID", parcel?.trackingId || ""],
+    ["Parcel", parcel?.title || ""],
+    [
+      "Route",
+      parcel ? `${parcel.senderDistrict} to ${parcel.receiverDistrict}` : "",
+    ],
+    ["Delivery charge", formatMoney(payment.amount, payment.currency)],
+    ...(refunded
+      ? [["Refunded", formatMoney(refunded, payment.currency)]]
+      : []),
+    ["Status", payment.status],
+  ];
+  rows.forEach(([label, value], index) =>
+    receiptRow(doc, label, String(value ?? ""), 105 + index * 20),
+  );
+
+  const totalY = 115 + rows.length * 20;
+  doc.moveTo(50, totalY).lineTo(545, totalY).stroke();
+  receiptRow(
+    doc,
+    "Total paid",
+    formatMoney(payment.amount - refunded, payment.currency),
+    totalY + 10,
+  );
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  MAX_LABEL_BATCH,
+  districtCode,
+  renderCodes,
+  buildLabelPdf,
+  buildReceiptPdf,
+};
@@ -0,0 +1,55 @@
+// Hub scans and linehaul manifests. A manifest is a batch of parcels moving
+// from one hub to another: it is loaded while "open", every parcel on it
+// leaves when it is dispatched and it is "received" once the destination hub
+// has scanned the last of them in.
+
+const { randomInt } = require("crypto");
+
+const MANIFEST_STATUS = {
+  OPEN: "open",
+  DISPATCHED: "dispatched",
+  RECEIVED: "received",
+};
+
+// tracking IDs per scan request
+const MAX_SCAN_BATCH = 200;
+
+// Scanners send tracking IDs separated by commas, spaces or new lines. A
+// label's QR code holds the tracking page URL, its last segment is the ID.
+const parseTrackingIds = (text) => [
+  ...new Set(
+    String(text || "")
+      .split(/[\s,]+/)
+      .map((code) => code.replace(/\/+$/, "").split("/").pop())
+      .filter(Boolean),
+  ),
+];
+
+// e.g. DHK-CTG-250319-482
+const generateManifestCode = (fromHub, toHub, now = new Date()) => {
+  const date = now.toISOString().slice(2, 10).replace(/-/g, "");
+  const random = String(randomInt(1000)).padStart(3, "0");
+  return `${fromHub.code}-${toHub.code}-${date}-${random}`;
+};
+
+const buildManifest = (fromHub, toHub, fields, createdBy) => ({
+  code: generateManifestCode(fromHub, toHub),
+  fromHubId: fromHub._id.toString(),
+  fromHubName: fromHub.name,
+  toHubId: toHub._id.toString(),
+  toHubName: toHub.name,
+  ...fields,
+  parcelIds: [],
+  trackingIds: [],
+  status: MANIFEST_STATUS.OPEN,
+  createdBy,
+  createdAt: new Date(),
+});
+
+module.exports = {
+  MANIFEST_STATUS,
+  MAX_SCAN_BATCH,
+  parseTrackingIds,
+  generateManifestCode,
+  buildManifest,
+};
@@ -0,0 +1,53 @@
+// Append-only rider ledger. Balances are never stored, they are summed from
+// the entries:
+//   earning  credit for a completed delivery      available +
+//   hold     cashout requested                    available -, held +
+//   release  cashout rejected                     available +, held -
+//   settle   cashout paid out                     held -, paid out +
+//   reversal paid out cashout came back           paid out -, available +
+//   adjustment  manual correction (signed)        available +/-
+
+const LEDGER_TYPES = {
+  EARNING: "earning",
+  HOLD: "hold",
+  RELEASE: "release",
+  SETTLE: "settle",
+  REVERSAL: "reversal",
+  ADJUSTMENT: "adjustment",
+};
+
+const MIN_CASHOUT = 100;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const balancePipeline = (riderEmail) => [
+  { $match: { riderEmail } },
+  { $group: { _id: "$type", total: { $sum: "$amount" }, count: { $sum: 1 } } },
+];
+
+// groups: output of balancePipeline
+const summarizeBalance = (groups) => {
+  const total = (type) => groups.find((g) => g._id === type)?.total || 0;
+
+  const earned = total(LEDGER_TYPES.EARNING);
+  const adjusted = total(LEDGER_TYPES.ADJUSTMENT);
+  const held = total(LEDGER_TYPES.HOLD);
+  const released = total(LEDGER_TYPES.RELEASE);
+  const settled = total(LEDGER_TYPES.SETTLE);
+  const reversed = total(LEDGER_TYPES.REVERSAL);
+
+  return {
+    totalEarnings: roundMoney(earned + adjusted),
+    available: roundMoney(earned + adjusted - held + released + reversed),
+    onHold: roundMoney(held - released - settled),
+    paidOut: roundMoney(settled - reversed),
+  };
+};
+
+module.exports = {
+  LEDGER_TYPES,
+  MIN_CASHOUT,
+  roundMoney,
+  balancePipeline,
+  summarizeBalance,
+};
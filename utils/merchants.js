@@ -0,0 +1,38 @@
+// Merchant (business sender) accounts and their bulk parcel import. A
+// merchant is a customer account with a business profile whose pickup
+// address and defaults fill in whatever a CSV row leaves blank.
+
+const MERCHANT_STATUS = { ACTIVE: "active", SUSPENDED: "suspended" };
+
+const MAX_IMPORT_ROWS = 1000;
+const MAX_IMPORT_BYTES = 1024 * 1024;
+
+// parcel field <- merchant profile field
+const ROW_DEFAULTS = {
+  senderName: "businessName",
+  senderPhone: "pickupPhone",
+  senderRegion: "pickupRegion",
+  senderDistrict: "pickupDistrict",
+  senderAddress: "pickupAddress",
+  pickupInstruction: "pickupInstruction",
+  type: "defaultParcelType",
+  weight: "defaultWeight",
+};
+
+const applyMerchantDefaults = (values, merchant) => {
+  const row = { ...values };
+  Object.entries(ROW_DEFAULTS).forEach(([field, profileField]) => {
+    const blank = row[field] === undefined || String(row[field]).trim() === "";
+    if (blank && merchant[profileField] !== undefined) {
+      row[field] = merchant[profileField];
+    }
+  });
+  return row;
+};
+
+module.exports = {
+  MERCHANT_STATUS,
+  MAX_IMPORT_ROWS,
+  MAX_IMPORT_BYTES,
+  applyMerchantDefaults,
+};
@@ -0,0 +1,246 @@
+// Notifications for parcel, rider and cashout events. Messages go through a
+// persisted outbox and are delivered by transports of the same shape:
+//   channel                "email" | "sms" | "push"
+//   addressFor(recipient)  email address, phone number or FCM tokens,
+//                          null when the recipient has none
+//   send({ to, subject, text, data })  throws when delivery fails
+
+const fs = require("fs/promises");
+
+const CHANNELS = { EMAIL: "email", SMS: "sms", PUSH: "push" };
+
+const NOTIFICATION_STATUS = {
+  PENDING: "pending",
+  SENDING: "sending",
+  SENT: "sent",
+  FAILED: "failed",
+};
+
+const MAX_NOTIFICATION_ATTEMPTS = 5;
+
+// 1, 2, 4, 8 ... minutes between attempts, at most an hour
+const retryDelay = (attempts) => Math.min(2 ** (attempts - 1), 60) * 60 * 1000;
+
+const NOTIFICATION_EVENTS = {
+  PARCEL_ASSIGNED: "parcel.assigned",
+  PARCEL_ASSIGNED_RIDER: "parcel.assigned_to_rider",
+  PARCEL_PICKED_UP: "parcel.picked_up",
+  PARCEL_DELIVERED: "parcel.delivered",
+  PARCEL_DELIVERY_CODE: "parcel.delivery_code",
+  RIDER_APPROVED: "rider.approved",
+  RIDER_REJECTED: "rider.rejected",
+  CASHOUT_COMPLETED: "cashout.completed",
+  CASHOUT_REJECTED: "cashout.rejected",
+  CASHOUT_FAILED: "cashout.failed",
+};
+
+const { EMAIL, SMS, PUSH } = CHANNELS;
+const E = NOTIFICATION_EVENTS;
+
+const TEMPLATES = {
+  [E.PARCEL_ASSIGNED]: {
+    channels: [EMAIL, PUSH],
+    subject: (d) => `Parcel ${d.trackingId} has a rider`,
+    text: (d) =>
+      `${d.riderName || "A rider"} will pick up your parcel "${d.title}" (${d.trackingId}).`,
+  },
+  [E.PARCEL_ASSIGNED_RIDER]: {
+    channels: [SMS, PUSH],
+    subject: (d) => `New pickup ${d.trackingId}`,
+    text: (d) =>
+      `New pickup ${d.trackingId} in ${d.senderDistrict}: ${d.senderAddress}.`,
+  },
+  [E.PARCEL_PICKED_UP]: {
+    channels: [EMAIL, SMS, PUSH],
+    subject: (d) => `Parcel ${d.trackingId} is on its way`,
+    text: (d) =>
+      `Your parcel "${d.title}" (${d.trackingId}) was picked up and is on its way to ${d.receiverDistrict}.`,
+  },
+  [E.PARCEL_DELIVERED]: {
+    channels: [EMAIL, SMS, PUSH],
+    subject: (d) => `Parcel ${d.trackingId} delivered`,
+    text: (d) =>
+      `Your parcel "${d.title}" (${d.trackingId}) was delivered to ${d.receiverName}.`,
+  },
+  // to the receiver, who usually has no account, only a phone number
+  [E.PARCEL_DELIVERY_CODE]: {
+    channels: [SMS],
+    subject: (d) => `Delivery code for parcel ${d.trackingId}`,
+    text: (d) =>
+      `Your delivery code for parcel ${d.trackingId} from ${d.senderName} is ${d.otp}. Give it to the rider only once you have the parcel.`,
+  },
+  [E.RIDER_APPROVED]: {
+    channels: [EMAIL, SMS, PUSH],
+    subject: () => "Your rider application was approved",
+    text: (d) =>
+      `Hi ${d.name}, your rider application was approved. You can start taking deliveries.`,
+  },
+  [E.RIDER_REJECTED]: {
+    channels: [EMAIL],
+    subject: () => "Your rider application was not approved",
+    text: (d) =>
+      `Hi ${d.name}, we could not approve your rider application this time.`,
+  },
+  [E.CASHOUT_COMPLETED]: {
+    channels: [EMAIL, SMS, PUSH],
+    subject: (d) => `Cashout of ${d.amount} paid`,
+    text: (d) => `Your cashout of ${d.amount} was paid (ref ${d.reference}).`,
+  },
+  [E.CASHOUT_REJECTED]: {
+    channels: [EMAIL, PUSH],
+    subject: (d) => `Cashout of ${d.amount} rejected`,
+    text: (d) =>
+      `Your cashout of ${d.amount} was rejected and the amount is back in your balance.`,
+  },
+  [E.CASHOUT_FAILED]: {
+    channels: [EMAIL, PUSH],
+    subject: (d) => `Cashout of ${d.amount} failed`,
+    text: (d) =>
+      `We could not pay your cashout of ${d.amount}, the amount is back in your balance.`,
+  },
+};
+
+const DEFAULT_PREFERENCES = { email: true, sms: true, push: true };
+
+const renderTemplate = (event, data) => {
+  const template = TEMPLATES[event];
+  return { subject: template.subject(data), text: template.text(data) };
+};
+
+// Template channels the recipient has not switched off
+const channelsFor = (event, preferences = {}) =>
+  TEMPLATES[event].channels.filter(
+    (channel) => ({ ...DEFAULT_PREFERENCES, ...preferences })[channel],
+  );
+
+// Outbox documents for every channel the recipient accepts and a transport
+// has an address for. transports: { [channel]: transport }
+const buildNotifications = (
+  event,
+  recipient,
+  vars,
+  data,
+  transports,
+  now = new Date(),
+) => {
+  const { subject, text } = renderTemplate(event, vars);
+  return channelsFor(event, recipient.preferences)
+    .map((channel) => ({
+      channel,
+      to: transports[channel]?.addressFor(recipient),
+    }))
+    .filter(({ to }) => to)
+    .map(({ channel, to }) => ({
+      event,
+      recipientEmail: recipient.email,
+      channel,
+      to,
+      subject,
+      text,
+      data: { event, ...data },
+      status: NOTIFICATION_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now,
+    }));
+};
+
+// $set for a message whose send failed on its nth attempt: back in the
+// outbox after retryDelay, failed for good after MAX_NOTIFICATION_ATTEMPTS
+const afterFailedSend = (attempts, error, now = new Date()) => ({
+  status:
+    attempts >= MAX_NOTIFICATION_ATTEMPTS
+      ? NOTIFICATION_STATUS.FAILED
+      : NOTIFICATION_STATUS.PENDING,
+  lastError: error.message,
+  nextAttemptAt: new Date(now.getTime() + retryDelay(attempts)),
+});
+
+const createEmailTransport = (client) => ({
+  channel: EMAIL,
+  addressFor: (recipient) => recipient.email || null,
+  send: ({ to, subject, text }) => client.sendMail({ to, subject, text }),
+});
+
+// client.sendSms({ to, text }), e.g. a local SMS gateway
+const createSmsTransport = (client) => ({
+  channel: SMS,
+  addressFor: (recipient) => recipient.phone || null,
+  send: ({ to, text }) => client.sendSms({ to, text }),
+});
+
+// SMS gateway that takes a JSON POST of { to, text, sender } with a bearer
+// key, for createSmsTransport
+const createHttpSmsClient = ({ url, apiKey, sender }) => ({
+  sendSms: async ({ to, text }) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+      body: JSON.stringify({ to, text, sender }),
+    });
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded ${response.status}`);
+    }
+  },
+});
+
+// messaging: admin.messaging() from firebase-admin
+const createFcmTransport = (messaging) => ({
+  channel: PUSH,
+  addressFor: (recipient) =>
+    recipient.fcmTokens?.length ? recipient.fcmTokens : null,
+  send: async ({ to, subject, text, data }) => {
+    const result = await messaging.sendEachForMulticast({
+      tokens: to,
+      notification: { title: subject, body: text },
+      data: Object.fromEntries(
+        Object.entries(data || {}).map(([key, value]) => [key, String(value)]),
+      ),
+    });
+    if (result.successCount === 0) {
+      throw new Error(
+        result.responses[0]?.error?.message || "No device accepted the message",
+      );
+    }
+  },
+});
+
+// Development: prints every message, and appends it as a JSON line when a
+// file is given. It logs recipients' addresses, so never in production.
+const createConsoleTransport = (channel, { file } = {}) => ({
+  channel,
+  addressFor: (recipient) =>
+    ({
+      [EMAIL]: recipient.email,
+      [SMS]: recipient.phone,
+      [PUSH]: recipient.fcmTokens?.length ? recipient.fcmTokens : null,
+    })[channel] || null,
+  send: async (message) => {
+    console.log(`[notify:${channel}] ${message.to} - ${message.subject}`);
+    if (file) {
+      const line = { channel, ...message, sentAt: new Date() };
+      await fs.appendFile(file, `${JSON.stringify(line)}\n`);
+    }
+  },
+});
+
+module.exports = {
+  CHANNELS,
+  NOTIFICATION_STATUS,
+  NOTIFICATION_EVENTS,
+  MAX_NOTIFICATION_ATTEMPTS,
+  DEFAULT_PREFERENCES,
+  retryDelay,
+  renderTemplate,
+  channelsFor,
+  buildNotifications,
+  afterFailedSend,
+  createEmailTransport,
+  createSmsTransport,
+  createHttpSmsClient,
+  createFcmTransport,
+  createConsoleTransport,
+};
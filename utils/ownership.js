@@ -0,0 +1,75 @@
+// Ownership checks referenced by `owns` in utils/permissions.js. Each one
+// gets the request after the Firebase token was verified and resolves to
+// true when the caller owns what the route acts on. They run before
+// validate, so they normalize emails and ids the way it does.
+
+const { ObjectId } = require("mongodb");
+const { trackingIdQuery } = require("./tracking");
+const { normalizeEmail } = require("./validation");
+
+const sameEmail = (value, email) =>
+  typeof value === "string" && normalizeEmail(value) === normalizeEmail(email);
+
+const createOwnershipChecks = ({
+  parcelCollection,
+  riderCollection,
+  settlementCollection,
+  userCollection,
+}) => {
+  // Parcel named by :id, body.parcelId or body.trackingId
+  const findRequestParcel = (req) => {
+    const id = String(req.params.id || req.body?.parcelId || "").trim();
+    const projection = { createdBy: 1, riderEmail: 1 };
+
+    if (ObjectId.isValid(id)) {
+      return parcelCollection.findOne(
+        { _id: new ObjectId(id) },
+        { projection },
+      );
+    }
+    if (req.body?.trackingId) {
+      return parcelCollection.findOne(trackingIdQuery(req.body.trackingId), {
+        projection,
+      });
+    }
+    return null;
+  };
+
+  return {
+    emailQuery: (req) => sameEmail(req.query.email, req.decoded.email),
+    emailBody: (req) => sameEmail(req.body?.email, req.decoded.email),
+    parcelCreator: async (req) => {
+      const parcel = await findRequestParcel(req);
+      return sameEmail(parcel?.createdBy, req.decoded.email);
+    },
+    assignedParcel: async (req) => {
+      const parcel = await findRequestParcel(req);
+      return sameEmail(parcel?.riderEmail, req.decoded.email);
+    },
+    settlementOwner: async (req) => {
+      if (!ObjectId.isValid(req.params.id)) return false;
+      const settlement = await settlementCollection.findOne(
+        { _id: new ObjectId(req.params.id) },
+        { projection: { merchantEmail: 1 } },
+      );
+      return sameEmail(settlement?.merchantEmail, req.decoded.email);
+    },
+    hubStaff: async (req) => {
+      const user = await userCollection.findOne(
+        { email: req.decoded.email },
+        { projection: { hubId: 1 } },
+      );
+      return !!user?.hubId && user.hubId === req.params.id;
+    },
+    riderSelf: async (req) => {
+      if (!ObjectId.isValid(req.params.id)) return false;
+      const rider = await riderCollection.findOne(
+        { _id: new ObjectId(req.params.id) },
+        { projection: { email: 1 } },
+      );
+      return sameEmail(rider?.email, req.decoded.email);
+    },
+  };
+};
+
+module.exports = { createOwnershipChecks };
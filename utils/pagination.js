@@ -0,0 +1,116 @@
+// Cursor pagination for list endpoints. The cursor is an opaque token holding
+// the sort value and _id of the last returned document, with _id breaking ties.
+
+const { ObjectId } = require("mongodb");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class PaginationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PaginationError";
+    this.status = 400;
+  }
+}
+
+const serializeValue = (value) =>
+  value instanceof Date ? { $date: value.toISOString() } : (value ?? null);
+
+const deserializeValue = (value) =>
+  value && typeof value === "object" && value.$date
+    ? new Date(value.$date)
+    : value;
+
+const encodeCursor = (doc, sortField) =>
+  Buffer.from(
+    JSON.stringify({
+      v: serializeValue(doc[sortField]),
+      id: doc._id.toString(),
+    }),
+  ).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!ObjectId.isValid(id)) throw new Error("bad id");
+    return { value: deserializeValue(v), id: new ObjectId(id) };
+  } catch (error) {
+    throw new PaginationError("Invalid cursor");
+  }
+};
+
+// Documents strictly after the cursor in (sortField, _id) order. Missing and
+// null values sort before everything else, so they come last in descending
+// order and first in ascending order; { field: null } matches both.
+const afterCursor = (sortField, order, cursor) => {
+  const { value, id } = decodeCursor(cursor);
+  const ascending = order === "asc";
+  const op = ascending ? "$gt" : "$lt";
+
+  let pastValue = [];
+  if (value === null) {
+    if (ascending) pastValue = [{ [sortField]: { $ne: null } }];
+  } else {
+    pastValue = [{ [sortField]: { [op]: value } }];
+    if (!ascending) pastValue.push({ [sortField]: null });
+  }
+
+  return {
+    $or: [...pastValue, { [sortField]: value, _id: { [op]: id } }],
+  };
+};
+
+// Range filter on a date field; stored as ISO strings unless asDate is set
+const dateRange = (field, from, to, { asDate = false } = {}) => {
+  if (!from && !to) return {};
+
+  const toValue = (date) => (asDate ? date : date.toISOString());
+  const range = {};
+  if (from) range.$gte = toValue(from);
+  if (to) range.$lte = toValue(to);
+
+  return { [field]: range };
+};
+
+// Returns the list envelope { data, nextCursor, total }
+const paginate = async (
+  collection,
+  filter,
+  { sort, order = "desc", limit = DEFAULT_LIMIT, cursor, projection },
+) => {
+  const pageSize = Math.min(limit, MAX_LIMIT);
+  const direction = order === "asc" ? 1 : -1;
+
+  const pageFilter = cursor
+    ? { $and: [filter, afterCursor(sort, order, cursor)] }
+    : filter;
+
+  const [docs, total] = await Promise.all([
+    collection
+      .find(pageFilter, { projection })
+      .sort({ [sort]: direction, _id: direction })
+      .limit(pageSize + 1)
+      .toArray(),
+    collection.countDocuments(filter),
+  ]);
+
+  const hasMore = docs.length > pageSize;
+  const data = hasMore ? docs.slice(0, pageSize) : docs;
+
+  return {
+    data,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null,
+    total,
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  PaginationError,
+  encodeCursor,
+  decodeCursor,
+  dateRange,
+  paginate,
+};
@@ -0,0 +1,244 @@
+// Parcel lifecycle: the only legal ways a parcel's deliveryStatus can change,
+// who may trigger each move, which timestamps it records and the message of
+// the tracking event it produces.
+
+const { sameDistrict } = require("./coverage");
+
+const PARCEL_STATUS = {
+  NOT_COLLECTED: "not_collected",
+  RIDER_ASSIGNED: "Rider assigned",
+  IN_TRANSIT: "In transit",
+  DELIVERED: "Delivery Completed",
+  SC_DELIVERED: "SC Delivered",
+  CANCELLED: "Cancelled",
+  // inter-district legs, see utils/hubs.js
+  AT_HUB: "At hub",
+  LINEHAUL: "In linehaul",
+};
+
+const INITIAL_STATUS = PARCEL_STATUS.NOT_COLLECTED;
+
+const TRANSITIONS = [
+  {
+    from: PARCEL_STATUS.NOT_COLLECTED,
+    to: PARCEL_STATUS.RIDER_ASSIGNED,
+    roles: ["admin"],
+    timestamps: ["assignedAt"],
+    message: "Rider assigned",
+  },
+  // re-assigning to another rider is fine until the parcel is picked up
+  {
+    from: PARCEL_STATUS.RIDER_ASSIGNED,
+    to: PARCEL_STATUS.RIDER_ASSIGNED,
+    roles: ["admin"],
+    timestamps: ["assignedAt"],
+    message: "Rider reassigned",
+  },
+  {
+    from: PARCEL_STATUS.RIDER_ASSIGNED,
+    to: PARCEL_STATUS.IN_TRANSIT,
+    roles: ["rider", "admin"],
+    timestamps: ["pickedAt"],
+    message: "Parcel picked up by rider",
+  },
+  // the delivering rider leaving for the receiver, once per rider: a hub
+  // receiving the parcel clears deliveryStartedAt
+  {
+    from: PARCEL_STATUS.IN_TRANSIT,
+    to: PARCEL_STATUS.IN_TRANSIT,
+    roles: ["rider", "admin"],
+    timestamps: ["deliveryStartedAt"],
+    message: "Out for delivery",
+    viaHub: true,
+    once: true,
+  },
+  {
+    from: PARCEL_STATUS.IN_TRANSIT,
+    to: PARCEL_STATUS.DELIVERED,
+    roles: ["rider", "admin"],
+    timestamps: ["deliveredAt"],
+    message: "Parcel delivered",
+    // receiver code or admin override, see utils/deliveryProof.js
+    requiresProof: true,
+    viaHub: true,
+  },
+  {
+    from: PARCEL_STATUS.IN_TRANSIT,
+    to: PARCEL_STATUS.SC_DELIVERED,
+    roles: ["rider", "admin"],
+    timestamps: ["deliveredAt"],
+    message: "Parcel delivered to service center",
+    // the receiver is not there to give their code, the service center's
+    // photo or signature can be uploaded instead
+    viaHub: true,
+  },
+  // hub legs: pickup rider -> origin hub -> linehaul -> destination hub ->
+  // delivery rider. Only made through the hub scan routes (admins there act
+  // as the hub), "custody" moves only by the hub holding the parcel.
+  {
+    from: PARCEL_STATUS.IN_TRANSIT,
+    to: PARCEL_STATUS.AT_HUB,
+    roles: ["hub"],
+    timestamps: ["hubReceivedAt"],
+    message: "Parcel received at hub",
+  },
+  {
+    from: PARCEL_STATUS.AT_HUB,
+    to: PARCEL_STATUS.LINEHAUL,
+    roles: ["hub"],
+    timestamps: ["linehaulAt"],
+    message: "Parcel left hub on linehaul",
+    custody: true,
+  },
+  {
+    from: PARCEL_STATUS.LINEHAUL,
+    to: PARCEL_STATUS.AT_HUB,
+    roles: ["hub"],
+    timestamps: ["hubReceivedAt"],
+    message: "Parcel received at hub",
+  },
+  {
+    from: PARCEL_STATUS.AT_HUB,
+    to: PARCEL_STATUS.IN_TRANSIT,
+    roles: ["hub"],
+    timestamps: ["outForDeliveryAt"],
+    message: "Parcel handed to delivery rider",
+    custody: true,
+  },
+  // cancellation, see utils/cancellation.js for the refund rules
+  {
+    from: PARCEL_STATUS.NOT_COLLECTED,
+    to: PARCEL_STATUS.CANCELLED,
+    roles: ["user", "admin"],
+    timestamps: ["cancelledAt"],
+    message: "Parcel cancelled",
+  },
+  {
+    from: PARCEL_STATUS.RIDER_ASSIGNED,
+    to: PARCEL_STATUS.CANCELLED,
+    roles: ["user", "admin"],
+    timestamps: ["cancelledAt"],
+    message: "Parcel cancelled",
+  },
+  {
+    from: PARCEL_STATUS.IN_TRANSIT,
+    to: PARCEL_STATUS.CANCELLED,
+    roles: ["admin"],
+    timestamps: ["cancelledAt"],
+    message: "Parcel cancelled",
+  },
+  {
+    from: PARCEL_STATUS.AT_HUB,
+    to: PARCEL_STATUS.CANCELLED,
+    roles: ["admin"],
+    timestamps: ["cancelledAt"],
+    message: "Parcel cancelled",
+  },
+];
+
+// Parcels a rider is currently responsible for
+const OPEN_STATUSES = [PARCEL_STATUS.RIDER_ASSIGNED, PARCEL_STATUS.IN_TRANSIT];
+
+// Delivered and cancelled parcels are terminal
+const COMPLETED_STATUSES = [
+  PARCEL_STATUS.DELIVERED,
+  PARCEL_STATUS.SC_DELIVERED,
+];
+
+class LifecycleError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "LifecycleError";
+    this.status = status;
+  }
+}
+
+const currentStatus = (parcel) => parcel.deliveryStatus || INITIAL_STATUS;
+
+const findTransition = (from, to) =>
+  TRANSITIONS.find((t) => t.from === from && t.to === to);
+
+const allowedNextStatuses = (from, role) =>
+  TRANSITIONS.filter(
+    (t) => t.from === from && (!role || t.roles.includes(role)),
+  ).map((t) => t.to);
+
+// actor = { email, role, hubId }, hubId is the hub acting on a custody
+// move. Throws LifecycleError, returns the transition.
+const assertTransition = (parcel, to, actor) => {
+  const from = currentStatus(parcel);
+  const transition = findTransition(from, to);
+
+  if (!transition) {
+    throw new LifecycleError(
+      `Cannot change parcel status from "${from}" to "${to}"`,
+    );
+  }
+
+  if (!actor || !transition.roles.includes(actor.role)) {
+    throw new LifecycleError(
+      `Role "${actor?.role || "guest"}" cannot change parcel status to "${to}"`,
+      403,
+    );
+  }
+
+  // riders can only move parcels assigned to them
+  if (actor.role === "rider" && parcel.riderEmail !== actor.email) {
+    throw new LifecycleError("This parcel is not assigned to you", 403);
+  }
+
+  // customers can only act on their own parcels
+  if (actor.role === "user" && parcel.createdBy !== actor.email) {
+    throw new LifecycleError("This parcel does not belong to you", 403);
+  }
+
+  // inter-district parcels reach the receiver from the destination hub,
+  // outForDeliveryAt is set when a hub hands them out. Admins may still
+  // close parcels that never went through a hub.
+  if (
+    transition.viaHub &&
+    actor.role !== "admin" &&
+    !parcel.outForDeliveryAt &&
+    !sameDistrict(parcel.senderDistrict, parcel.receiverDistrict)
+  ) {
+    throw new LifecycleError(
+      "Inter-district parcels are delivered from the destination hub",
+    );
+  }
+
+  if (transition.once && transition.timestamps.some((field) => parcel[field])) {
+    throw new LifecycleError(`"${transition.message}" was already recorded`);
+  }
+
+  if (
+    transition.custody &&
+    String(parcel.currentHubId) !== String(actor.hubId)
+  ) {
+    throw new LifecycleError("This parcel is held by another hub", 403);
+  }
+
+  return transition;
+};
+
+// $set document for a transition, timestamps stored as ISO strings
+const buildTransitionUpdate = (transition, now = new Date()) => {
+  const updatedDoc = { deliveryStatus: transition.to };
+  transition.timestamps.forEach((field) => {
+    updatedDoc[field] = now.toISOString();
+  });
+  return updatedDoc;
+};
+
+module.exports = {
+  PARCEL_STATUS,
+  INITIAL_STATUS,
+  TRANSITIONS,
+  OPEN_STATUSES,
+  COMPLETED_STATUSES,
+  LifecycleError,
+  currentStatus,
+  findTransition,
+  allowedNextStatuses,
+  assertTransition,
+  buildTransitionUpdate,
+};
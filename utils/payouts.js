@@ -0,0 +1,128 @@
+// Payout providers used to pay riders their cashouts. Every provider has
+// the same shape:
+//   name
+//   destinationFor(rider)   where the money goes, null if the rider has none
+//   initiatePayout({ amount, destination, reference, idempotencyKey, metadata })
+//     -> { status: "pending" | "succeeded" | "failed", reference, failureReason }
+//   parseCallback(req)      -> { reference, status, failureReason }, throws
+//                              PayoutError if the callback is not authentic;
+//                              null when updates arrive some other way
+
+const PAYOUT_STATUS = {
+  PENDING: "pending",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+  REVERSED: "reversed",
+};
+
+// A rider may have one of these at a time. "Payout failed" is still open,
+// it is retried until MAX_PAYOUT_ATTEMPTS.
+const OPEN_CASHOUT_STATUSES = ["Pending", "Processing", "Payout failed"];
+
+// failed attempts before the hold goes back to the rider's balance
+const MAX_PAYOUT_ATTEMPTS = 3;
+
+// Cashout status after a failed attempt. Out of attempts, the held amount
+// goes back to the rider's balance.
+const afterFailedPayout = (attempt) => {
+  const finalFailure = attempt >= MAX_PAYOUT_ATTEMPTS;
+  return {
+    cashoutStatus: finalFailure ? "Failed" : "Payout failed",
+    releaseHold: finalFailure,
+  };
+};
+
+class PayoutError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PayoutError";
+    this.status = status;
+  }
+}
+
+// Stripe Connect transfer to the rider's connected account. Transfers settle
+// immediately; reversals come back through the Stripe webhook.
+const createStripeConnectProvider = (stripe, { currency }) => ({
+  name: "stripe",
+  destinationFor: (rider) => rider.payoutAccount?.stripeAccountId || null,
+  initiatePayout: async ({
+    amount,
+    destination,
+    reference,
+    idempotencyKey,
+    metadata,
+  }) => {
+    const transfer = await stripe.transfers.create(
+      {
+        amount: Math.round(amount * 100),
+        currency,
+        destination,
+        transfer_group: reference,
+        metadata,
+      },
+      { idempotencyKey },
+    );
+    return { status: PAYOUT_STATUS.SUCCEEDED, reference: transfer.id };
+  },
+  parseCallback: null,
+});
+
+// bKash/Nagad-style mobile wallets. The wallet's API client is injected:
+//   client.sendMoney({ walletNumber, amount, reference })
+//     -> { transactionId, status }
+//   client.verifyCallback(req) -> { reference, status, failureReason }
+const createMobileWalletProvider = (name, client) => ({
+  name,
+  destinationFor: (rider) =>
+    rider.payoutAccount?.walletProvider === name
+      ? rider.payoutAccount.walletNumber
+      : null,
+  initiatePayout: async ({ amount, destination, reference }) => {
+    const result = await client.sendMoney({
+      walletNumber: destination,
+      amount,
+      reference,
+    });
+    return {
+      status: result.status || PAYOUT_STATUS.PENDING,
+      reference: result.transactionId,
+    };
+  },
+  parseCallback: (req) => {
+    try {
+      return client.verifyCallback(req);
+    } catch (error) {
+      throw new PayoutError("Invalid payout callback", 401);
+    }
+  },
+});
+
+// Local development only, enabled with PAYOUT_PROVIDER=mock.
+// MOCK_PAYOUT_OUTCOME=pending leaves payouts open so callbacks can be sent
+// by hand to /payouts/callback/mock.
+const createMockProvider = ({ outcome = PAYOUT_STATUS.SUCCEEDED } = {}) => ({
+  name: "mock",
+  destinationFor: (rider) => rider.email || null,
+  initiatePayout: async ({ reference }) => ({
+    status: outcome,
+    reference: `mock_${reference}`,
+    failureReason:
+      outcome === PAYOUT_STATUS.FAILED ? "Mock payout failure" : undefined,
+  }),
+  parseCallback: (req) => ({
+    reference: req.body.reference,
+    status: req.body.status,
+    failureReason: req.body.failureReason,
+  }),
+});
+
+module.exports = {
+  PAYOUT_STATUS,
+  OPEN_CASHOUT_STATUSES,
+  MAX_PAYOUT_ATTEMPTS,
+  afterFailedPayout,
+  PayoutError,
+  createStripeConnectProvider,
+  createMobileWalletProvider,
+  createMockProvider,
+};
@@ -0,0 +1,305 @@
+// Permission matrix for every route, keyed by "METHOD /express/path".
+// `roles` lists who may call the route; `owns` maps a role to the ownership
+// check (see ownershipChecks in index.js) it must also pass.
+// `allowQueryToken` accepts the Firebase token as ?access_token= for clients
+// that cannot set headers (EventSource).
+// Routes missing from this table are denied.
+
+const ROLES = {
+  ADMIN: "admin",
+  RIDER: "rider",
+  CUSTOMER: "user",
+  HUB: "hub", // hub staff, users.hubId names their hub
+  PUBLIC: "public",
+};
+
+const { ADMIN, RIDER, CUSTOMER, HUB, PUBLIC } = ROLES;
+const SIGNED_IN = [ADMIN, RIDER, CUSTOMER];
+const HUB_STAFF = { roles: [ADMIN, HUB], owns: { [HUB]: "hubStaff" } };
+
+const ROUTE_POLICIES = {
+  // users
+  "GET /users/search": { roles: [ADMIN] },
+  "PATCH /users/make-admin/:id": { roles: [ADMIN] },
+  "PATCH /users/revoke-admin/:id": { roles: [ADMIN] },
+  "GET /users/role": {
+    roles: [...SIGNED_IN, HUB],
+    owns: {
+      [RIDER]: "emailQuery",
+      [CUSTOMER]: "emailQuery",
+      [HUB]: "emailQuery",
+    },
+  },
+  "POST /users": {
+    roles: SIGNED_IN,
+    owns: {
+      [ADMIN]: "emailBody",
+      [RIDER]: "emailBody",
+      [CUSTOMER]: "emailBody",
+    },
+  },
+
+  // parcels
+  "GET /parcels": {
+    roles: [ADMIN, CUSTOMER],
+    owns: { [CUSTOMER]: "emailQuery" },
+  },
+  "POST /parcels": { roles: [ADMIN, CUSTOMER] },
+  "POST /parcels/quote": { roles: [PUBLIC] },
+  "GET /parcels/assignable": { roles: [ADMIN] },
+  "GET /parcels/:id": {
+    roles: SIGNED_IN,
+    owns: { [RIDER]: "assignedParcel", [CUSTOMER]: "parcelCreator" },
+  },
+  "PATCH /parcels/:id/status": {
+    roles: [ADMIN, RIDER],
+    owns: { [RIDER]: "assignedParcel" },
+  },
+  // retired, answers 410
+  "PATCH /parcels/:id/cashout": { roles: [ADMIN, RIDER] },
+  "PATCH /parcels/assign/:id": { roles: [ADMIN] },
+  "PATCH /parcels/:id/cancel": {
+    roles: [ADMIN, CUSTOMER],
+    owns: { [CUSTOMER]: "parcelCreator" },
+  },
+  "DELETE /parcels/:id": {
+    roles: [ADMIN, CUSTOMER],
+    owns: { [CUSTOMER]: "parcelCreator" },
+  },
+
+  // proof of delivery and disputes
+  "GET /parcels/:id/delivery-otp": {
+    roles: [ADMIN, CUSTOMER],
+    owns: { [CUSTOMER]: "parcelCreator" },
+  },
+  "POST /parcels/:id/delivery-otp": {
+    roles: [ADMIN, CUSTOMER],
+    owns: { [CUSTOMER]: "parcelCreator" },
+  },
+  "PUT /parcels/:id/proof/:kind": {
+    roles: [ADMIN, RIDER],
+    owns: { [RIDER]: "assignedParcel" },
+  },
+  "GET /parcels/:id/proof/:kind": {
+    roles: SIGNED_IN,
+    owns: { [RIDER]: "assignedParcel", [CUSTOMER]: "parcelCreator" },
+  },
+  "POST /parcels/:id/disputes": {
+    roles: [CUSTOMER],
+    owns: { [CUSTOMER]: "parcelCreator" },
+  },
+  "GET /admin/disputes": { roles: [ADMIN] },
+  "PATCH /admin/disputes/:id": { roles: [ADMIN] },
+
+  // cash on delivery
+  "PATCH /parcels/:id/cod-collection": {
+    roles: [ADMIN, RIDER],
+    owns: { [RIDER]: "assignedParcel" },
+  },
+  "GET /riders/cod-cash": { roles: [RIDER] },
+  "GET /admin/cod-cash": { roles: [ADMIN] },
+  "POST /admin/cod-deposits": { roles: [ADMIN] },
+  "GET /admin/cod-deposits": { roles: [ADMIN] },
+  "POST /admin/cod-settlements/run": { roles: [ADMIN] },
+  "GET /admin/cod-settlements": { roles: [ADMIN] },
+  "PATCH /admin/cod-settlements/:id": { roles: [ADMIN] },
+  "GET /cod/settlements": { roles: [CUSTOMER] },
+  "GET /cod/settlements/:id": {
+    roles: [ADMIN, CUSTOMER],
+    owns: { [CUSTOMER]: "settlementOwner" },
+  },
+
+  // merchants
+  "POST /merchants": { roles: [CUSTOMER] },
+  "GET /merchants/me": { roles: [CUSTOMER] },
+  "PATCH /merchants/me": { roles: [CUSTOMER] },
+  "POST /merchants/parcels/import": { roles: [CUSTOMER] },
+  "GET /admin/merchants": { roles: [ADMIN] },
+  "PATCH /admin/merchants/:id/status": { roles: [ADMIN] },
+
+  // notifications
+  "GET /notifications": { roles: [...SIGNED_IN, HUB] },
+  "GET /notifications/preferences": { roles: [...SIGNED_IN, HUB] },
+  "PATCH /notifications/preferences": { roles: [...SIGNED_IN, HUB] },
+  "POST /notifications/devices": { roles: [...SIGNED_IN, HUB] },
+  "DELETE /notifications/devices": { roles: [...SIGNED_IN, HUB] },
+  "GET /admin/notifications": { roles: [ADMIN] },
+  "POST /admin/notifications/:id/retry": { roles: [ADMIN] },
+
+  // audit log
+  "GET /admin/audit-log": { roles: [ADMIN] },
+
+  // analytics
+  "GET /admin/analytics/parcel-status": { roles: [ADMIN] },
+  "GET /admin/analytics/revenue": { roles: [ADMIN] },
+  "GET /admin/analytics/district-volume": { roles: [ADMIN] },
+  "GET /admin/analytics/delivery-time": { roles: [ADMIN] },
+  "GET /admin/analytics/rider-leaderboard": { roles: [ADMIN] },
+  "GET /admin/analytics/cashouts": { roles: [ADMIN] },
+
+  // ratings and rider performance
+  "POST /parcels/:id/rating": {
+    roles: [CUSTOMER],
+    owns: { [CUSTOMER]: "parcelCreator" },
+  },
+  "POST /parcels/:id/failed-attempts": {
+    roles: [ADMIN, RIDER],
+    owns: { [RIDER]: "assignedParcel" },
+  },
+  "GET /riders/profile": { roles: [RIDER] },
+  "GET /admin/ratings": { roles: [ADMIN] },
+  "POST /admin/riders/scores/refresh": { roles: [ADMIN] },
+
+  // coverage, hubs and geo lookups
+  "GET /coverage": { roles: [PUBLIC] },
+  "POST /admin/service-areas": { roles: [ADMIN] },
+  "PATCH /admin/service-areas/:id": { roles: [ADMIN] },
+  "GET /hubs": { roles: [...SIGNED_IN, HUB] },
+  "GET /hubs/nearest": { roles: [...SIGNED_IN, HUB] },
+  "POST /admin/hubs": { roles: [ADMIN] },
+  "PATCH /admin/hubs/:id": { roles: [ADMIN] },
+  "POST /admin/hubs/:id/staff": { roles: [ADMIN] },
+  "PATCH /riders/:id/location": {
+    roles: [ADMIN, RIDER],
+    owns: { [RIDER]: "riderSelf" },
+  },
+  "GET /riders/nearby": { roles: [ADMIN] },
+  "GET /parcels/:id/nearby-riders": { roles: [ADMIN] },
+
+  // hub scans and linehaul manifests, staff only at their own hub
+  "GET /hubs/:id/inventory": HUB_STAFF,
+  "POST /hubs/:id/inbound": HUB_STAFF,
+  "POST /hubs/:id/outbound": HUB_STAFF,
+  "GET /hubs/:id/manifests": HUB_STAFF,
+  "POST /hubs/:id/manifests": HUB_STAFF,
+  "GET /hubs/:id/manifests/:manifestId": HUB_STAFF,
+  "POST /hubs/:id/manifests/:manifestId/parcels": HUB_STAFF,
+  "DELETE /hubs/:id/manifests/:manifestId/parcels/:parcelId": HUB_STAFF,
+  "POST /hubs/:id/manifests/:manifestId/dispatch": HUB_STAFF,
+
+  // live rider location
+  "POST /riders/location-pings": { roles: [RIDER] },
+  "GET /parcels/:id/rider-location": {
+    roles: [ADMIN, CUSTOMER],
+    owns: { [CUSTOMER]: "parcelCreator" },
+  },
+
+  // shipping labels and receipts
+  "GET /parcels/:id/label": {
+    roles: [ADMIN, CUSTOMER],
+    owns: { [CUSTOMER]: "parcelCreator" },
+  },
+  "GET /parcels/:id/receipt": {
+    roles: [ADMIN, CUSTOMER],
+    owns: { [CUSTOMER]: "parcelCreator" },
+  },
+  "POST /merchants/parcels/labels": { roles: [CUSTOMER] },
+
+  // scans, which action a role may scan is in utils/scans.js
+  "POST /scans": { roles: [ADMIN, RIDER, HUB] },
+  "GET /admin/scans": { roles: [ADMIN] },
+
+  // riders
+  "GET /riders": { roles: [ADMIN] },
+  "POST /riders": { roles: [CUSTOMER] },
+  "GET /riders/parcels": { roles: [RIDER] },
+  "GET /riders/completed-parcels": { roles: [RIDER] },
+  "GET /riders/pending": { roles: [ADMIN] },
+  "GET /riders/active": { roles: [ADMIN] },
+  "PATCH /riders/:id": {
+    roles: [ADMIN, RIDER],
+    owns: { [RIDER]: "riderSelf" },
+  },
+  "PATCH /riders/:id/approve": { roles: [ADMIN] },
+  "PATCH /riders/:id/reject": { roles: [ADMIN] },
+  "PATCH /riders/deactivate/:id": { roles: [ADMIN] },
+  "DELETE /riders/:id": { roles: [ADMIN] },
+
+  // dispatch
+  "POST /dispatch/auto": { roles: [ADMIN] },
+  "GET /dispatch/decisions": { roles: [ADMIN] },
+
+  // rider cashouts and ledger
+  "POST /riders/cashout": { roles: [RIDER] },
+  "GET /riders/cashout-history": { roles: [RIDER] },
+  "GET /riders/balance": { roles: [RIDER] },
+  "GET /riders/ledger": { roles: [RIDER] },
+  "GET /admin/riders/ledger": { roles: [ADMIN] },
+  "POST /admin/riders/reconcile": { roles: [ADMIN] },
+  "GET /admin/cashout-requests": { roles: [ADMIN] },
+  "PATCH /admin/cashout/:id": { roles: [ADMIN] },
+  "POST /admin/cashout/:id/retry-payout": { roles: [ADMIN] },
+  "GET /admin/cashout/:id/payouts": { roles: [ADMIN] },
+  "PATCH /admin/riders/:id/payout-account": { roles: [ADMIN] },
+  // authenticated by the payout provider's own callback verification
+  "POST /payouts/callback/:provider": { roles: [PUBLIC] },
+
+  // commission rules
+  "GET /admin/commission-rules": { roles: [ADMIN] },
+  "POST /admin/commission-rules": { roles: [ADMIN] },
+  "PATCH /admin/commission-rules/:id": { roles: [ADMIN] },
+  "GET /admin/commission-rules/preview": { roles: [ADMIN] },
+  "PATCH /riders/:id/tier": { roles: [ADMIN] },
+
+  // tracking
+  "GET /trackings/:trackingId": { roles: [PUBLIC] },
+  "GET /parcels/:id/trackings": {
+    roles: SIGNED_IN,
+    owns: { [RIDER]: "assignedParcel", [CUSTOMER]: "parcelCreator" },
+  },
+  "GET /parcels/:id/tracking/stream": {
+    roles: SIGNED_IN,
+    owns: { [RIDER]: "assignedParcel", [CUSTOMER]: "parcelCreator" },
+    allowQueryToken: true,
+  },
+  "POST /trackings": {
+    roles: [ADMIN, RIDER],
+    owns: { [RIDER]: "assignedParcel" },
+  },
+
+  // payments
+  "GET /payments": {
+    roles: [ADMIN, CUSTOMER],
+    owns: { [CUSTOMER]: "emailQuery" },
+  },
+  "POST /payments": {
+    roles: [CUSTOMER],
+    owns: { [CUSTOMER]: "parcelCreator" },
+  },
+  "POST /create-payment-intent": {
+    roles: [CUSTOMER],
+    owns: { [CUSTOMER]: "parcelCreator" },
+  },
+  "POST /refunds/:id/retry": { roles: [ADMIN] },
+  // authenticated by the Stripe signature instead of a Firebase token
+  "POST /webhooks/stripe": { roles: [PUBLIC] },
+};
+
+const getRoutePolicy = (method, path) => {
+  const routeMethod = method === "HEAD" ? "GET" : method;
+  return ROUTE_POLICIES[`${routeMethod} ${path}`] || null;
+};
+
+const isPublic = (policy) => policy.roles.includes(PUBLIC);
+
+const isRoleAllowed = (policy, role) => policy.roles.includes(role);
+
+const ownershipCheckFor = (policy, role) => policy.owns?.[role] || null;
+
+// What authorize (index.js) decides once the caller's role is known.
+// ownershipChecks: see utils/ownership.js
+const isAllowed = async (policy, role, ownershipChecks, req) => {
+  if (!isRoleAllowed(policy, role)) return false;
+  const checkName = ownershipCheckFor(policy, role);
+  return !checkName || !!(await ownershipChecks[checkName](req));
+};
+
+module.exports = {
+  ROLES,
+  ROUTE_POLICIES,
+  getRoutePolicy,
+  isPublic,
+  isRoleAllowed,
+  ownershipCheckFor,
+  isAllowed,
+};
@@ -0,0 +1,110 @@
+// Delivery charge rules (৳). Same rules back the quote endpoint, parcel
+// creation and the Stripe PaymentIntent amount.
+
+const { sameDistrict } = require("./coverage");
+
+const PARCEL_TYPES = {
+  DOCUMENT: "document",
+  NON_DOCUMENT: "non-document",
+};
+
+const RATES = {
+  document: { withinDistrict: 60, outsideDistrict: 80 },
+  nonDocument: {
+    baseWeight: 3, // kg included in the base price
+    withinDistrict: 110,
+    outsideDistrict: 150,
+    extraPerKg: 40,
+    outsideDistrictSurcharge: 40, // once, for overweight parcels only
+  },
+};
+
+class PricingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PricingError";
+    this.status = 400;
+  }
+}
+
+const normalizeType = (type) =>
+  String(type || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-");
+
+const quoteDeliveryCharge = ({
+  type,
+  weight,
+  senderDistrict,
+  receiverDistrict,
+}) => {
+  const parcelType = normalizeType(type);
+
+  if (!Object.values(PARCEL_TYPES).includes(parcelType)) {
+    throw new PricingError(
+      `Parcel type must be one of: ${Object.values(PARCEL_TYPES).join(", ")}`,
+    );
+  }
+
+  if (!senderDistrict || !receiverDistrict) {
+    throw new PricingError("Sender and receiver district are required");
+  }
+
+  const withinDistrict = sameDistrict(senderDistrict, receiverDistrict);
+  const breakdown = [];
+
+  if (parcelType === PARCEL_TYPES.DOCUMENT) {
+    breakdown.push({
+      label: "Document delivery",
+      amount: withinDistrict
+        ? RATES.document.withinDistrict
+        : RATES.document.outsideDistrict,
+    });
+  } else {
+    const parcelWeight = Number(weight);
+
+    if (!Number.isFinite(parcelWeight) || parcelWeight <= 0) {
+      throw new PricingError("Weight must be a positive number");
+    }
+
+    const rates = RATES.nonDocument;
+    breakdown.push({
+      label: `Non-document up to ${rates.baseWeight}kg`,
+      amount: withinDistrict ? rates.withinDistrict : rates.outsideDistrict,
+    });
+
+    if (parcelWeight > rates.baseWeight) {
+      const extraKg = Math.ceil(parcelWeight - rates.baseWeight);
+      breakdown.push({
+        label: `Extra weight (${extraKg}kg)`,
+        amount: extraKg * rates.extraPerKg,
+      });
+
+      if (!withinDistrict) {
+        breakdown.push({
+          label: "Outside district surcharge",
+          amount: rates.outsideDistrictSurcharge,
+        });
+      }
+    }
+  }
+
+  return {
+    type: parcelType,
+    weight: parcelType === PARCEL_TYPES.DOCUMENT ? null : Number(weight),
+    senderDistrict,
+    receiverDistrict,
+    withinDistrict,
+    breakdown,
+    total: breakdown.reduce((sum, item) => sum + item.amount, 0),
+  };
+};
+
+module.exports = {
+  PARCEL_TYPES,
+  RATES,
+  PricingError,
+  normalizeType,
+  quoteDeliveryCharge,
+};
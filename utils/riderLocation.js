@@ -0,0 +1,59 @@
+// Live rider positions while parcels are in transit, and the delivery ETA
+// shown to customers. Only the latest ping per rider is kept and it expires
+// after RIDER_LOCATION_TTL_MINUTES (15 by default). Customers see the
+// position rounded to about 100 m.
+
+// Settings are read on use so values from .env apply whenever the module
+// was loaded
+const locationTtlMinutes = () =>
+  Number(process.env.RIDER_LOCATION_TTL_MINUTES) || 15;
+const MIN_PING_INTERVAL_SECONDS = 10;
+
+// city traffic average, roads are ROAD_FACTOR longer than the straight line
+const averageSpeedKmh = () => Number(process.env.RIDER_AVERAGE_SPEED_KMH) || 18;
+const ROAD_FACTOR = 1.3;
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two { lat, lng }
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) *
+      Math.cos(toRadians(to.lat)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const estimateEta = (from, to, now = new Date()) => {
+  const roadKm = distanceKm(from, to) * ROAD_FACTOR;
+  const minutes = Math.ceil((roadKm / averageSpeedKmh()) * 60);
+  return {
+    distanceKm: Math.round(roadKm * 10) / 10,
+    etaMinutes: minutes,
+    estimatedArrival: new Date(now.getTime() + minutes * 60 * 1000),
+  };
+};
+
+// 3 decimals is roughly 100 m
+const approximate = ({ lat, lng }) => ({
+  lat: Math.round(lat * 1000) / 1000,
+  lng: Math.round(lng * 1000) / 1000,
+});
+
+const isStale = (updatedAt, now = new Date()) =>
+  now.getTime() - new Date(updatedAt).getTime() >
+  locationTtlMinutes() * 60 * 1000;
+
+module.exports = {
+  locationTtlMinutes,
+  MIN_PING_INTERVAL_SECONDS,
+  distanceKm,
+  estimateEta,
+  approximate,
+  isStale,
+};
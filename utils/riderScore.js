@@ -0,0 +1,131 @@
+// Rolling rider performance score, 0-100, over the last SCORE_WINDOW_DAYS:
+//   50% customer rating
+//   30% reliability   deliveries vs failed attempts and cancellations
+//   20% speed         average pickup to delivery time against the target
+// Riders without any history start at DEFAULT_SCORE.
+
+const { COMPLETED_STATUSES, PARCEL_STATUS } = require("./parcelLifecycle");
+
+const SCORE_WINDOW_DAYS = 30;
+const TARGET_DELIVERY_MINUTES = 24 * 60;
+const DEFAULT_SCORE = 70;
+
+const RATING_MIN = 1;
+const RATING_MAX = 5;
+
+const WEIGHTS = { rating: 0.5, reliability: 0.3, speed: 0.2 };
+
+const windowStart = (now = new Date()) =>
+  new Date(now.getTime() - SCORE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+// stats: output of the pipelines below
+const computeRiderScore = ({
+  averageRating = null,
+  ratings = 0,
+  deliveries = 0,
+  averageMinutes = null,
+  failedAttempts = 0,
+  cancellations = 0,
+}) => {
+  const problems = failedAttempts + cancellations;
+  if (!ratings && !deliveries && !problems) return DEFAULT_SCORE;
+
+  const rating = ratings
+    ? (averageRating - RATING_MIN) / (RATING_MAX - RATING_MIN)
+    : DEFAULT_SCORE / 100;
+  const reliability =
+    deliveries + problems ? deliveries / (deliveries + problems) : 1;
+  const speed = averageMinutes
+    ? Math.min(TARGET_DELIVERY_MINUTES / averageMinutes, 1)
+    : 1;
+
+  return Math.round(
+    100 *
+      (WEIGHTS.rating * rating +
+        WEIGHTS.reliability * reliability +
+        WEIGHTS.speed * speed),
+  );
+};
+
+// parcel timestamps are ISO strings. The rider's leg starts at the hub
+// hand-off for parcels that went through a hub, else at pickup.
+const deliveryStatsPipeline = (riderEmail, since) => [
+  {
+    $match: {
+      riderEmail,
+      deliveryStatus: { $in: COMPLETED_STATUSES },
+      deliveredAt: { $gte: since.toISOString() },
+      $or: [
+        { outForDeliveryAt: { $exists: true } },
+        { pickedAt: { $exists: true } },
+      ],
+    },
+  },
+  {
+    $group: {
+      _id: null,
+      deliveries: { $sum: 1 },
+      averageMinutes: {
+        $avg: {
+          $divide: [
+            {
+              $subtract: [
+                { $dateFromString: { dateString: "$deliveredAt" } },
+                {
+                  $dateFromString: {
+                    dateString: { $ifNull: ["$outForDeliveryAt", "$pickedAt"] },
+                  },
+                },
+              ],
+            },
+            60 * 1000,
+          ],
+        },
+      },
+    },
+  },
+];
+
+const ratingStatsPipeline = (riderEmail, since) => [
+  { $match: { riderEmail, createdAt: { $gte: since } } },
+  {
+    $group: {
+      _id: null,
+      ratings: { $sum: 1 },
+      averageRating: { $avg: "$rating" },
+    },
+  },
+];
+
+const failedAttemptsPipeline = (riderEmail, since) => [
+  { $match: { "failedAttempts.riderEmail": riderEmail } },
+  { $unwind: "$failedAttempts" },
+  {
+    $match: {
+      "failedAttempts.riderEmail": riderEmail,
+      "failedAttempts.at": { $gte: since },
+    },
+  },
+  { $count: "failedAttempts" },
+];
+
+// Cancelled after the rider took the parcel, customer cancellations excluded
+const cancellationQuery = (riderEmail, since) => ({
+  riderEmail,
+  deliveryStatus: PARCEL_STATUS.CANCELLED,
+  cancelledAt: { $gte: since.toISOString() },
+  $expr: { $ne: ["$cancelledBy", "$createdBy"] },
+});
+
+module.exports = {
+  SCORE_WINDOW_DAYS,
+  DEFAULT_SCORE,
+  RATING_MIN,
+  RATING_MAX,
+  windowStart,
+  computeRiderScore,
+  deliveryStatsPipeline,
+  ratingStatsPipeline,
+  failedAttemptsPipeline,
+  cancellationQuery,
+};
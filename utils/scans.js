@@ -0,0 +1,58 @@
+// Scan-driven status updates. A scan names what happened to the parcel
+// rather than its next status; the action decides which move applies and
+// who may scan it. Every scanned code is logged with the device it came from.
+
+const SCAN_ACTIONS = {
+  PICKUP: "pickup", // rider collects from the sender
+  HUB_IN: "hub-in", // hub receives from a rider or a linehaul manifest
+  HUB_OUT: "hub-out", // hub hands the parcel to its delivery rider
+  OUT_FOR_DELIVERY: "out-for-delivery", // rider leaves for the receiver
+};
+
+const SCAN_ROLES = {
+  [SCAN_ACTIONS.PICKUP]: ["rider", "admin"],
+  [SCAN_ACTIONS.HUB_IN]: ["hub", "admin"],
+  [SCAN_ACTIONS.HUB_OUT]: ["hub", "admin"],
+  [SCAN_ACTIONS.OUT_FOR_DELIVERY]: ["rider", "admin"],
+};
+
+// scanned on behalf of a hub, admins have to name it
+const HUB_ACTIONS = [SCAN_ACTIONS.HUB_IN, SCAN_ACTIONS.HUB_OUT];
+
+const canScan = (action, role) => !!SCAN_ROLES[action]?.includes(role);
+
+// Device clocks drift. A scan is logged no earlier than the parcel was
+// created (an ISO string) and no later than the server received it.
+const clampScanTime = (scannedAt, createdAt, receivedAt) => {
+  if (!scannedAt) return receivedAt;
+  const earliest = createdAt ? new Date(createdAt).getTime() : -Infinity;
+  const time = Math.max(new Date(scannedAt).getTime(), earliest);
+  return new Date(Math.min(time, receivedAt.getTime()));
+};
+
+// result: one entry of scanParcels' results
+const buildScanLog = (
+  result,
+  { action, actor, deviceId, scannedAt, createdAt, hubId = null },
+  receivedAt = new Date(),
+) => ({
+  action,
+  trackingId: result.trackingId,
+  success: result.success,
+  status: result.status || null,
+  message: result.message || null,
+  scannedBy: actor.email,
+  role: actor.role,
+  hubId,
+  deviceId,
+  scannedAt: clampScanTime(scannedAt, createdAt, receivedAt),
+  receivedAt,
+});
+
+module.exports = {
+  SCAN_ACTIONS,
+  HUB_ACTIONS,
+  canScan,
+  clampScanTime,
+  buildScanLog,
+};
@@ -0,0 +1,498 @@
+// Request schemas for utils/validation.js, one per route that reads a body
+// or query string. Anything not listed here is stripped from the request.
+
+const { PARCEL_STATUS } = require("./parcelLifecycle");
+const { DEFAULT_LIMIT, MAX_LIMIT } = require("./pagination");
+const { LEDGER_TYPES, MIN_CASHOUT } = require("./ledger");
+const { RIDER_TIERS } = require("./commission");
+const { PARCEL_TYPES, normalizeType } = require("./pricing");
+const { MAX_COD_AMOUNT, SETTLEMENT_STATUS } = require("./cod");
+const { MERCHANT_STATUS } = require("./merchants");
+const {
+  CHANNELS,
+  NOTIFICATION_STATUS,
+  NOTIFICATION_EVENTS,
+} = require("./notifications");
+const { AUDIT_ACTIONS, AUDIT_TARGETS } = require("./audit");
+const { RATING_MIN, RATING_MAX } = require("./riderScore");
+const { MANIFEST_STATUS, MAX_SCAN_BATCH } = require("./hubs");
+const { SCAN_ACTIONS } = require("./scans");
+
+const text = (max, extra = {}) => ({ type: "string", max, ...extra });
+const latitude = { type: "number", min: -90, max: 90 };
+const longitude = { type: "number", min: -180, max: 180 };
+const required = (rule) => ({ ...rule, required: true });
+
+const PHONE_PATTERN = /^\+?[0-9\s-]{6,20}$/;
+const phone = { type: "string", pattern: PHONE_PATTERN };
+
+// "Non Document", "non_document" and the like are stored as "non-document"
+const parcelType = {
+  type: "string",
+  normalize: normalizeType,
+  enum: Object.values(PARCEL_TYPES),
+};
+
+const parcelFields = {
+  type: required(parcelType),
+  title: required(text(120)),
+  weight: { type: "number", min: 0, max: 100 },
+  senderName: required(text(80)),
+  senderPhone: required(phone),
+  senderRegion: text(60),
+  senderDistrict: required(text(60)),
+  senderAddress: required(text(300)),
+  pickupInstruction: text(300),
+  receiverName: required(text(80)),
+  receiverPhone: required(phone),
+  receiverRegion: text(60),
+  receiverDistrict: required(text(60)),
+  receiverAddress: required(text(300)),
+  deliveryInstruction: text(300),
+  senderArea: text(80),
+  receiverArea: text(80),
+  senderLat: latitude,
+  senderLng: longitude,
+  receiverLat: latitude,
+  receiverLng: longitude,
+  codAmount: { type: "number", min: 0, max: MAX_COD_AMOUNT },
+};
+
+const merchantFields = (isNew) => {
+  const maybeRequired = (rule) => (isNew ? required(rule) : rule);
+  return {
+    businessName: maybeRequired(text(120)),
+    businessType: text(60),
+    website: text(200),
+    tradeLicense: text(60),
+    pickupPhone: maybeRequired(phone),
+    pickupRegion: text(60),
+    pickupDistrict: maybeRequired(text(60)),
+    pickupAddress: maybeRequired(text(300)),
+    pickupInstruction: text(300),
+    defaultParcelType: {
+      type: "string",
+      enum: Object.values(PARCEL_TYPES),
+    },
+    defaultWeight: { type: "number", min: 0, max: 100 },
+  };
+};
+
+const riderFields = {
+  name: text(80),
+  phone,
+  age: { type: "integer", min: 18, max: 70 },
+  nid: text(30),
+  region: text(60),
+  district: text(60),
+  bikeBrand: text(60),
+  bikeRegistration: text(30),
+  about: text(500),
+};
+
+// Query string shared by cursor-paginated list endpoints, the first sort
+// field is the default
+const listQuery = (sortFields, filters = {}) => ({
+  cursor: text(500),
+  limit: { type: "integer", min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT },
+  sort: { type: "string", enum: sortFields, default: sortFields[0] },
+  order: { type: "string", enum: ["asc", "desc"], default: "desc" },
+  ...filters,
+});
+
+const dateFilters = { from: { type: "date" }, to: { type: "date" } };
+
+// separated by commas, spaces or new lines, see parseTrackingIds
+const trackingIdList = required(text(MAX_SCAN_BATCH * 30));
+
+const PAYMENT_STATUSES = [
+  "unpaid",
+  "paid",
+  "failed",
+  "refunded",
+  "partially_refunded",
+];
+
+const commissionRuleFields = (isNew) => {
+  const maybeRequired = (rule) => (isNew ? required(rule) : rule);
+  return {
+    name: maybeRequired(text(80)),
+    scope: { type: "string", enum: ["within", "between"] },
+    senderDistrict: text(60),
+    receiverDistrict: text(60),
+    parcelType: { type: "string", enum: Object.values(PARCEL_TYPES) },
+    riderTier: { type: "string", enum: RIDER_TIERS },
+    rate: maybeRequired({ type: "number", min: 0, max: 1 }),
+    effectiveFrom: maybeRequired({ type: "date" }),
+    effectiveTo: { type: "date" },
+  };
+};
+
+const requireAll = (fields) =>
+  Object.fromEntries(
+    Object.entries(fields).map(([field, rule]) => [field, required(rule)]),
+  );
+
+const schemas = {
+  // users
+  userSearchQuery: { search: text(100) },
+  userRoleQuery: { email: required({ type: "email" }) },
+  userCreate: {
+    email: required({ type: "email" }),
+    name: text(80),
+    photoURL: text(500),
+  },
+
+  // parcels
+  parcelListQuery: listQuery(["creationDate", "deliveryCharge"], {
+    email: { type: "email" },
+    status: { type: "string", enum: Object.values(PARCEL_STATUS) },
+    paymentStatus: { type: "string", enum: PAYMENT_STATUSES },
+    district: text(60),
+    ...dateFilters,
+  }),
+  assignableParcelQuery: listQuery(["creationDate"], {
+    district: text(60),
+    ...dateFilters,
+  }),
+  parcelCreate: parcelFields,
+  parcelQuote: {
+    type: required(text(20)),
+    weight: { type: "number", min: 0, max: 100 },
+    senderDistrict: required(text(60)),
+    receiverDistrict: required(text(60)),
+  },
+  parcelStatus: {
+    status: required({
+      type: "string",
+      enum: [
+        PARCEL_STATUS.IN_TRANSIT,
+        PARCEL_STATUS.DELIVERED,
+        PARCEL_STATUS.SC_DELIVERED,
+      ],
+    }),
+    otp: { type: "string", pattern: /^\d{6}$/ },
+    overrideReason: text(300),
+  },
+  parcelAssign: {
+    riderId: required({ type: "objectId" }),
+    reason: text(300),
+  },
+  parcelCancel: { reason: text(300) },
+
+  // disputes
+  disputeCreate: { reason: required(text(1000)) },
+  disputeListQuery: listQuery(["createdAt"], {
+    status: { type: "string", enum: ["open", "resolved", "rejected"] },
+  }),
+  disputeResolve: {
+    status: required({ type: "string", enum: ["resolved", "rejected"] }),
+    resolution: required(text(1000)),
+  },
+
+  // cash on delivery
+  codCollection: {
+    amount: required({ type: "number", min: 0, max: MAX_COD_AMOUNT }),
+    note: text(300),
+  },
+  codDeposit: {
+    riderEmail: required({ type: "email" }),
+    amountReceived: required({ type: "number", min: 0 }),
+    notes: text(500),
+  },
+  codDepositListQuery: listQuery(["depositedAt", "amount"], {
+    riderEmail: { type: "email" },
+    ...dateFilters,
+  }),
+  codSettlementRun: {
+    merchantEmail: { type: "email" },
+    dryRun: { type: "boolean", default: false },
+  },
+  settlementListQuery: listQuery(["createdAt", "netPayable"], {
+    status: { type: "string", enum: Object.values(SETTLEMENT_STATUS) },
+    ...dateFilters,
+  }),
+  adminSettlementListQuery: listQuery(["createdAt", "netPayable"], {
+    merchantEmail: { type: "email" },
+    status: { type: "string", enum: Object.values(SETTLEMENT_STATUS) },
+    ...dateFilters,
+  }),
+  settlementPaid: {
+    reference: required(text(100)),
+    notes: text(500),
+  },
+
+  // merchants
+  merchantCreate: merchantFields(true),
+  merchantUpdate: merchantFields(false),
+  merchantListQuery: listQuery(["createdAt", "businessName"], {
+    status: { type: "string", enum: Object.values(MERCHANT_STATUS) },
+    district: text(60),
+    search: text(100),
+  }),
+  merchantStatus: {
+    status: required({
+      type: "string",
+      enum: Object.values(MERCHANT_STATUS),
+    }),
+  },
+  parcelImportQuery: { dryRun: { type: "boolean", default: false } },
+
+  // notifications
+  notificationListQuery: listQuery(["createdAt"], {
+    channel: { type: "string", enum: Object.values(CHANNELS) },
+    status: { type: "string", enum: Object.values(NOTIFICATION_STATUS) },
+  }),
+  adminNotificationListQuery: listQuery(["createdAt"], {
+    recipientEmail: { type: "email" },
+    event: { type: "string", enum: Object.values(NOTIFICATION_EVENTS) },
+    channel: { type: "string", enum: Object.values(CHANNELS) },
+    status: { type: "string", enum: Object.values(NOTIFICATION_STATUS) },
+    ...dateFilters,
+  }),
+  notificationPreferences: {
+    email: { type: "boolean" },
+    sms: { type: "boolean" },
+    push: { type: "boolean" },
+    phone,
+  },
+  notificationDevice: { token: required(text(4096)) },
+
+  // audit log
+  auditLogQuery: listQuery(["at"], {
+    actor: { type: "email" },
+    action: { type: "string", enum: Object.values(AUDIT_ACTIONS) },
+    targetType: { type: "string", enum: AUDIT_TARGETS },
+    targetId: { type: "objectId" },
+    ...dateFilters,
+  }),
+
+  // analytics
+  analyticsQuery: {
+    ...dateFilters,
+    district: text(60),
+    limit: { type: "integer", min: 1, max: MAX_LIMIT, default: 10 },
+  },
+
+  // ratings and rider performance
+  parcelRating: {
+    rating: required({ type: "integer", min: RATING_MIN, max: RATING_MAX }),
+    comment: text(1000),
+  },
+  failedAttempt: { reason: required(text(300)) },
+  ratingListQuery: listQuery(["createdAt", "rating"], {
+    riderEmail: { type: "email" },
+    rating: { type: "integer", min: RATING_MIN, max: RATING_MAX },
+    ...dateFilters,
+  }),
+
+  // coverage, hubs and geo lookups
+  serviceAreaCreate: {
+    district: required(text(60)),
+    name: required(text(80)),
+    aliases: text(300), // comma separated
+    lat: latitude,
+    lng: longitude,
+  },
+  serviceAreaUpdate: {
+    active: { type: "boolean" },
+    aliases: text(300),
+  },
+  hubListQuery: { district: text(60) },
+  hubCreate: {
+    name: required(text(80)),
+    code: required({ type: "string", pattern: /^[A-Z0-9-]{2,12}$/ }),
+    district: required(text(60)),
+    address: required(text(300)),
+    phone,
+    lat: required(latitude),
+    lng: required(longitude),
+  },
+  hubUpdate: {
+    name: text(80),
+    address: text(300),
+    phone,
+    active: { type: "boolean" },
+    lat: latitude,
+    lng: longitude,
+  },
+  riderLocation: {
+    lat: required(latitude),
+    lng: required(longitude),
+    serviceRadiusKm: { type: "number", min: 0.5, max: 50, default: 5 },
+  },
+  geoQuery: {
+    lat: required(latitude),
+    lng: required(longitude),
+    radiusKm: { type: "number", min: 0.1, max: 100, default: 10 },
+    limit: { type: "integer", min: 1, max: MAX_LIMIT, default: 20 },
+  },
+  nearbyRiderQuery: {
+    radiusKm: { type: "number", min: 0.1, max: 100, default: 10 },
+    limit: { type: "integer", min: 1, max: MAX_LIMIT, default: 20 },
+  },
+
+  // hub scans and linehaul manifests
+  hubStaff: { email: required({ type: "email" }) },
+  hubInventoryQuery: listQuery(["hubReceivedAt", "creationDate"], {
+    receiverDistrict: text(60),
+  }),
+  hubScan: { trackingIds: trackingIdList },
+  hubOutbound: {
+    trackingIds: trackingIdList,
+    riderId: required({ type: "objectId" }),
+  },
+  manifestCreate: {
+    toHubId: required({ type: "objectId" }),
+    vehicle: text(40),
+    driverName: text(80),
+    driverPhone: phone,
+  },
+  manifestListQuery: listQuery(["createdAt"], {
+    direction: {
+      type: "string",
+      enum: ["outgoing", "incoming"],
+      default: "outgoing",
+    },
+    status: { type: "string", enum: Object.values(MANIFEST_STATUS) },
+  }),
+
+  // live rider location
+  riderPing: {
+    lat: required(latitude),
+    lng: required(longitude),
+    accuracyMeters: { type: "number", min: 0, max: 5000 },
+    heading: { type: "number", min: 0, max: 360 },
+    speedKmh: { type: "number", min: 0, max: 200 },
+    recordedAt: { type: "date" },
+  },
+
+  // shipping labels
+  labelBatch: {
+    trackingIds: trackingIdList,
+    sheet: { type: "boolean", default: true },
+  },
+
+  // scans
+  scanCreate: {
+    action: required({ type: "string", enum: Object.values(SCAN_ACTIONS) }),
+    trackingIds: trackingIdList,
+    deviceId: required(text(80)),
+    scannedAt: { type: "date" },
+    hubId: { type: "objectId" },
+    riderId: { type: "objectId" },
+  },
+  scanListQuery: listQuery(["receivedAt"], {
+    action: { type: "string", enum: Object.values(SCAN_ACTIONS) },
+    trackingId: text(40),
+    scannedBy: { type: "email" },
+    deviceId: text(80),
+    success: { type: "boolean" },
+    ...dateFilters,
+  }),
+
+  // riders
+  riderDistrictQuery: { district: required(text(60)) },
+  pendingRiderQuery: listQuery(["appliedAt", "name"], {
+    district: text(60),
+    ...dateFilters,
+  }),
+  activeRiderQuery: listQuery(["approvedAt", "name", "performanceScore"], {
+    search: text(100),
+    district: text(60),
+  }),
+  riderApply: { ...requireAll(riderFields), about: riderFields.about },
+  riderUpdate: riderFields,
+
+  // dispatch
+  dispatchRun: {
+    dryRun: { type: "boolean", default: false },
+    district: text(60),
+    limit: { type: "integer", min: 1, max: MAX_LIMIT, default: 50 },
+  },
+  dispatchDecisionQuery: listQuery(["decidedAt"], {
+    parcelId: { type: "objectId" },
+    riderEmail: { type: "email" },
+    mode: { type: "string", enum: ["auto", "manual"] },
+  }),
+
+  // rider cashouts and ledger
+  cashoutRequest: {
+    amount: required({ type: "number", min: MIN_CASHOUT }),
+  },
+  cashoutListQuery: {
+    status: {
+      type: "string",
+      enum: [
+        "Pending",
+        "Processing",
+        "Payout failed",
+        "Completed",
+        "Rejected",
+        "Failed",
+        "Reversed",
+      ],
+    },
+  },
+  cashoutProcess: {
+    status: required({ type: "string", enum: ["Completed", "Rejected"] }),
+    provider: text(30),
+    notes: text(500),
+  },
+  payoutRetry: { provider: text(30) },
+  payoutAccount: {
+    stripeAccountId: { type: "string", pattern: /^acct_[A-Za-z0-9]+$/ },
+    walletProvider: { type: "string", enum: ["bkash", "nagad"] },
+    walletNumber: phone,
+  },
+  ledgerQuery: listQuery(["createdAt"], {
+    type: { type: "string", enum: Object.values(LEDGER_TYPES) },
+  }),
+  adminLedgerQuery: listQuery(["createdAt"], {
+    riderEmail: required({ type: "email" }),
+    type: { type: "string", enum: Object.values(LEDGER_TYPES) },
+  }),
+  ledgerReconcile: {
+    riderEmail: required({ type: "email" }),
+    apply: { type: "boolean", default: false },
+  },
+
+  // commission rules
+  commissionRuleListQuery: { activeAt: { type: "date" } },
+  commissionRuleCreate: commissionRuleFields(true),
+  commissionRuleUpdate: commissionRuleFields(false),
+  commissionPreviewQuery: { parcelId: required({ type: "objectId" }) },
+  riderTier: { tier: required({ type: "string", enum: RIDER_TIERS }) },
+
+  // tracking
+  trackingCreate: {
+    trackingId: required(text(40)),
+    status: required(text(60)),
+    message: text(300),
+    location: text(120),
+  },
+  trackingStreamQuery: {
+    access_token: text(4096),
+    lastEventId: { type: "objectId" },
+  },
+
+  // payments
+  paymentListQuery: listQuery(["paidAt", "amount"], {
+    email: { type: "email" },
+    status: { type: "string", enum: ["succeeded", "failed"] },
+    ...dateFilters,
+  }),
+  paymentCreate: {
+    parcelId: required({ type: "objectId" }),
+    transactionId: required(text(100)),
+  },
+  paymentIntentCreate: { parcelId: required({ type: "objectId" }) },
+
+  // routes that take no input at all
+  empty: {},
+
+  // route params
+  idParams: { id: required({ type: "objectId" }) },
+};
+
+module.exports = schemas;
@@ -0,0 +1,172 @@
+// Stripe webhook handlers, keyed by event type. Stripe delivers events at
+// least once and in no particular order, so each handler either sets
+// absolute values or filters on the state it moves away from, and replaying
+// any event leaves the documents as they were.
+
+const { ObjectId } = require("mongodb");
+const { PAYOUT_STATUS } = require("./payouts");
+const { PARCEL_STATUS } = require("./parcelLifecycle");
+
+const createStripeEventHandlers = ({
+  paymentCollection,
+  parcelCollection,
+  payoutCollection,
+  applyPayoutOutcome,
+  refundCancelledPayment,
+}) => {
+  // Shared by POST /payments and the Stripe webhook, so both can record the
+  // same PaymentIntent without creating a second payment. A payment that
+  // lands after the parcel was cancelled is refunded in full.
+  const recordSucceededPayment = async (paymentIntent, parcel) => {
+    const now = new Date();
+
+    const payment = await paymentCollection.findOneAndUpdate(
+      { transactionId: paymentIntent.id },
+      {
+        $set: {
+          status: "succeeded",
+          amount: paymentIntent.amount / 100, // trusted from Stripe
+          currency: paymentIntent.currency,
+        },
+        $setOnInsert: {
+          parcelId: parcel._id,
+          transactionId: paymentIntent.id,
+          paidBy: parcel.createdBy,
+        },
+        // only set the first time the payment is seen as succeeded
+        $min: { paidAt: now, paidAtString: now.toISOString() },
+      },
+      { upsert: true, returnDocument: "after" },
+    );
+
+    // Only unpaid or failed parcels become paid, so a replayed succeeded
+    // event cannot undo a refund. Parcels created before paymentStatus was
+    // set on insert have no field at all.
+    const paid = await parcelCollection.findOneAndUpdate(
+      { _id: parcel._id, paymentStatus: { $in: ["unpaid", "failed", null] } },
+      { $set: { paymentStatus: "paid" } },
+      { returnDocument: "after" },
+    );
+
+    // Checked on the document as written, not the one read earlier, so a
+    // cancellation racing this update is seen by one side or the other.
+    // cancelParcel already handled parcels that were paid when cancelled.
+    if (paid?.deliveryStatus === PARCEL_STATUS.CANCELLED) {
+      await refundCancelledPayment(payment, paid);
+    }
+
+    return payment;
+  };
+
+  const findParcelForPaymentIntent = async (paymentIntentId, metadata) => {
+    let parcelId = metadata?.parcelId;
+
+    if (!parcelId) {
+      const payment = await paymentCollection.findOne({
+        transactionId: paymentIntentId,
+      });
+      parcelId = payment?.parcelId;
+    }
+
+    if (!parcelId || !ObjectId.isValid(parcelId)) {
+      return null;
+    }
+
+    return parcelCollection.findOne({ _id: new ObjectId(parcelId) });
+  };
+
+  const stripeEventHandlers = {
+    "payment_intent.succeeded": async (paymentIntent) => {
+      const parcel = await findParcelForPaymentIntent(
+        paymentIntent.id,
+        paymentIntent.metadata,
+      );
+      if (!parcel) return false;
+
+      await recordSucceededPayment(paymentIntent, parcel);
+      return true;
+    },
+
+    "payment_intent.payment_failed": async (paymentIntent) => {
+      const parcel = await findParcelForPaymentIntent(
+        paymentIntent.id,
+        paymentIntent.metadata,
+      );
+      if (!parcel) return false;
+
+      // a late failure event must not undo a success for the same intent
+      const existing = await paymentCollection.findOne({
+        transactionId: paymentIntent.id,
+      });
+      if (existing?.status === "succeeded") return true;
+
+      await paymentCollection.updateOne(
+        { transactionId: paymentIntent.id },
+        {
+          $set: {
+            status: "failed",
+            failureMessage: paymentIntent.last_payment_error?.message || "",
+            failedAt: new Date(),
+          },
+          $setOnInsert: {
+            parcelId: parcel._id,
+            transactionId: paymentIntent.id,
+            amount: paymentIntent.amount / 100,
+            currency: paymentIntent.currency,
+            paidBy: parcel.createdBy,
+          },
+        },
+        { upsert: true },
+      );
+
+      await parcelCollection.updateOne(
+        { _id: parcel._id, paymentStatus: { $ne: "paid" } },
+        { $set: { paymentStatus: "failed" } },
+      );
+      return true;
+    },
+
+    "transfer.reversed": async (transfer) => {
+      const payout = await payoutCollection.findOne({
+        provider: "stripe",
+        reference: transfer.id,
+      });
+      if (!payout) return false;
+
+      await applyPayoutOutcome(payout, { status: PAYOUT_STATUS.REVERSED });
+      return true;
+    },
+
+    "charge.refunded": async (charge) => {
+      const paymentIntentId = charge.payment_intent;
+      const payment = await paymentCollection.findOne({
+        transactionId: paymentIntentId,
+      });
+      if (!payment) return false;
+
+      const fullyRefunded = charge.amount_refunded >= charge.amount;
+      const refundStatus = fullyRefunded ? "refunded" : "partially_refunded";
+
+      await paymentCollection.updateOne(
+        { _id: payment._id },
+        {
+          $set: {
+            refundedAmount: charge.amount_refunded / 100,
+            refundStatus,
+          },
+          $min: { refundedAt: new Date() },
+        },
+      );
+
+      await parcelCollection.updateOne(
+        { _id: payment.parcelId },
+        { $set: { paymentStatus: refundStatus } },
+      );
+      return true;
+    },
+  };
+
+  return { recordSucceededPayment, stripeEventHandlers };
+};
+
+module.exports = { createStripeEventHandlers };
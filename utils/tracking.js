@@ -0,0 +1,72 @@
+// Tracking IDs and the public (sanitized) tracking timeline.
+
+const { randomInt } = require("crypto");
+
+// no 0/O, 1/I/L so IDs survive being read out over the phone
+const ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+const PREFIX = "MX";
+const RANDOM_LENGTH = 6;
+
+// e.g. MX250319-7K4Q9D
+const generateTrackingId = (now = new Date()) => {
+  const date = now.toISOString().slice(2, 10).replace(/-/g, "");
+  let random = "";
+  for (let i = 0; i < RANDOM_LENGTH; i += 1) {
+    random += ALPHABET[randomInt(ALPHABET.length)];
+  }
+  return `${PREFIX}${date}-${random}`;
+};
+
+// Matches generated IDs typed in any case as well as older client-made IDs
+const trackingIdQuery = (trackingId) => {
+  const trimmed = String(trackingId || "").trim();
+  return {
+    trackingId: { $in: [...new Set([trimmed, trimmed.toUpperCase()])] },
+  };
+};
+
+// Tracking IDs held by more than one parcel, parcel IDs oldest first. IDs
+// made by clients before they were generated here can repeat.
+const duplicateTrackingIdsPipeline = () => [
+  { $match: { trackingId: { $exists: true } } },
+  { $sort: { _id: 1 } },
+  {
+    $group: {
+      _id: "$trackingId",
+      parcelIds: { $push: "$_id" },
+      count: { $sum: 1 },
+    },
+  },
+  { $match: { count: { $gt: 1 } } },
+];
+
+const EMAIL_PATTERN = /[^\s@]+@[^\s@]+\.[^\s@]+/g;
+const PHONE_PATTERN = /\+?\d[\d\s-]{6,}\d/g;
+
+const redact = (text) =>
+  String(text || "")
+    .replace(EMAIL_PATTERN, "[hidden]")
+    .replace(PHONE_PATTERN, "[hidden]");
+
+// Only what a stranger holding the tracking ID may see
+const toPublicTimeline = (parcel, events) => ({
+  trackingId: parcel.trackingId,
+  deliveryStatus: parcel.deliveryStatus,
+  senderDistrict: parcel.senderDistrict,
+  receiverDistrict: parcel.receiverDistrict,
+  createdAt: parcel.creationDate,
+  deliveredAt: parcel.deliveredAt || null,
+  events: events.map((event) => ({
+    status: event.status,
+    message: redact(event.message),
+    location: redact(event.location) || null,
+    timestamp: event.timestamp,
+  })),
+});
+
+module.exports = {
+  generateTrackingId,
+  trackingIdQuery,
+  duplicateTrackingIdsPipeline,
+  toPublicTimeline,
+};
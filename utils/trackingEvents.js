@@ -0,0 +1,37 @@
+// In-process pub/sub for tracking events, feeding the SSE stream.
+// Every event is stored in the trackings collection first, so subscribers
+// that reconnect replay what they missed from the database by _id.
+
+const { EventEmitter } = require("events");
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open stream
+
+const channelFor = (parcelId) => `parcel:${parcelId}`;
+
+const publishTrackingEvent = (event) => {
+  if (event.parcelId) {
+    emitter.emit(channelFor(event.parcelId), event);
+  }
+};
+
+// Returns the unsubscribe function
+const subscribeToParcel = (parcelId, listener) => {
+  const channel = channelFor(parcelId);
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+};
+
+// ObjectIds are ordered by creation time, their hex strings compare the same way
+const isAfter = (id, lastId) =>
+  !lastId || id.toHexString() > lastId.toHexString();
+
+const formatSseEvent = (event) =>
+  `id: ${event._id}\nevent: tracking\ndata: ${JSON.stringify(event)}\n\n`;
+
+module.exports = {
+  publishTrackingEvent,
+  subscribeToParcel,
+  isAfter,
+  formatSseEvent,
+};
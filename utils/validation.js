@@ -0,0 +1,180 @@
+// Minimal declarative validation for request bodies and query strings.
+// A schema maps field names to rules:
+//   { type, required, enum, min, max, pattern, default, normalize }
+// normalize maps the checked value before the enum and pattern checks.
+// Fields not declared in the schema are stripped, so privileged fields
+// (role, status, paymentStatus, ...) can never reach the database.
+
+const { ObjectId } = require("mongodb");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Emails are stored and compared trimmed and lowercased
+const normalizeEmail = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+const checkers = {
+  string: (value) =>
+    typeof value === "string"
+      ? { value: value.trim() }
+      : { error: "must be a string" },
+  email: (value) =>
+    typeof value === "string" && EMAIL_PATTERN.test(value.trim())
+      ? { value: normalizeEmail(value) }
+      : { error: "must be a valid email" },
+  number: (value) => {
+    const number =
+      typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    return typeof number === "number" && Number.isFinite(number)
+      ? { value: number }
+      : { error: "must be a number" };
+  },
+  integer: (value) => {
+    const { value: number, error } = checkers.number(value);
+    return error || !Number.isInteger(number)
+      ? { error: "must be an integer" }
+      : { value: number };
+  },
+  boolean: (value) => {
+    if (typeof value === "boolean") return { value };
+    if (value === "true" || value === "false")
+      return { value: value === "true" };
+    return { error: "must be true or false" };
+  },
+  objectId: (value) =>
+    typeof value === "string" && ObjectId.isValid(value)
+      ? { value }
+      : { error: "must be a valid id" },
+  date: (value) => {
+    const date = new Date(value);
+    return typeof value !== "boolean" &&
+      value !== null &&
+      !Number.isNaN(date.getTime())
+      ? { value: date }
+      : { error: "must be a valid date" };
+  },
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+const checkBounds = (rule, value) => {
+  const size = typeof value === "string" ? value.length : value;
+  if (typeof size !== "number") return null;
+
+  const unit = typeof value === "string" ? " characters" : "";
+  if (rule.min !== undefined && size < rule.min) {
+    return `must be at least ${rule.min}${unit}`;
+  }
+  if (rule.max !== undefined && size > rule.max) {
+    return `must be at most ${rule.max}${unit}`;
+  }
+  return null;
+};
+
+// Returns { value, errors }, errors is a list of { field, message }
+const validateSchema = (schema, input, location) => {
+  const source = input && typeof input === "object" ? input : {};
+  const value = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const path = `${location}.${field}`;
+    const raw = source[field];
+
+    if (isEmpty(raw)) {
+      if (rule.default !== undefined) {
+        value[field] = rule.default;
+      } else if (rule.required) {
+        errors.push({ field: path, message: "is required" });
+      }
+      return;
+    }
+
+    const result = checkers[rule.type || "string"](raw);
+    if (result.error) {
+      errors.push({ field: path, message: result.error });
+      return;
+    }
+
+    const checked = rule.normalize
+      ? rule.normalize(result.value)
+      : result.value;
+    const boundsError = checkBounds(rule, checked);
+    if (boundsError) {
+      errors.push({ field: path, message: boundsError });
+      return;
+    }
+
+    if (rule.enum && !rule.enum.includes(checked)) {
+      errors.push({
+        field: path,
+        message: `must be one of: ${rule.enum.join(", ")}`,
+      });
+      return;
+    }
+
+    if (rule.pattern && !rule.pattern.test(checked)) {
+      errors.push({ field: path, message: "has an invalid format" });
+      return;
+    }
+
+    value[field] = checked;
+  });
+
+  return { value, errors };
+};
+
+const sendValidationError = (res, errors) =>
+  res.status(400).send({
+    success: false,
+    message: "Validation failed",
+    errors,
+  });
+
+// Route middleware: validate({ params: schema, body: schema, query: schema })
+const validate =
+  ({ params, body, query }) =>
+  (req, res, next) => {
+    const errors = [];
+
+    if (params) {
+      const result = validateSchema(params, req.params, "params");
+      errors.push(...result.errors);
+      // the path decides which params exist, none are stripped
+      req.params = { ...req.params, ...result.value };
+    }
+
+    if (body) {
+      const result = validateSchema(body, req.body, "body");
+      errors.push(...result.errors);
+      req.body = result.value;
+    }
+
+    if (query) {
+      const result = validateSchema(query, req.query, "query");
+      errors.push(...result.errors);
+      // req.query is a getter in Express 5, shadow it on the request
+      Object.defineProperty(req, "query", {
+        value: result.value,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    next();
+  };
+
+module.exports = {
+  normalizeEmail,
+  validate,
+  validateSchema,
+  sendValidationError,
+};